@@ -1,14 +1,95 @@
-// attach unattached audio objects to the DOM, when playback starts to make them detectable
-(() => {
-  const originalProto = Audio.prototype;
-  ["play"].forEach((method) => {
-    const originalMethod = Audio.prototype[method];
-    Audio.prototype[method] = function () {
-      Audio.prototype = originalProto;
-      if (!document.contains(this)) {
-        document.body.appendChild(this);
+// Runs in the page's own context (injected by inject.js at document_start) and tells the content
+// script about media it can't find by itself: detached `new Audio()` objects and open shadow roots.
+// Elements are handed over as the relatedTarget of a DOM event, which crosses the content-script
+// boundary, so nothing has to be inserted into the page.
+// The file is also loaded as a content script, only so inject.js can insert this function's source
+// inline without fetching it; it calls itself only when the page loads it with <script src>.
+function mediaControllerAttach() {
+  const REGISTER_MEDIA_EVENT = "media-controller:register-media";
+  const REGISTER_SHADOW_EVENT = "media-controller:register-shadow-root";
+  const READY_EVENT = "media-controller:ready";
+
+  // Everything announced so far, so it can be announced again once the content script is listening.
+  // Entries are dropped as their elements are garbage collected, so pages that create lots of
+  // short-lived `new Audio()` objects don't make these grow forever.
+  const announcedMedia = new Set();
+  const announcedHosts = new Set();
+  const announcedElements = new WeakSet();
+  const collected = new FinalizationRegistry(({ set, ref }) => set.delete(ref));
+
+  const remember = (set, element) => {
+    if (!announcedElements.has(element)) {
+      announcedElements.add(element);
+      const ref = new WeakRef(element);
+      set.add(ref);
+      collected.register(element, { set, ref });
+    }
+  };
+
+  const announce = (type, element) => {
+    document.dispatchEvent(new MouseEvent(type, { relatedTarget: element }));
+  };
+
+  const registerMedia = (element) => {
+    if (!element.isConnected) {
+      remember(announcedMedia, element);
+      announce(REGISTER_MEDIA_EVENT, element);
+    }
+  };
+
+  // Detached media created with `new Audio()`
+  const OriginalAudio = window.Audio;
+  // Behaves like the real constructor: it needs `new`, and subclasses (`class X extends Audio`) keep their prototype
+  const Audio = function Audio() {
+    if (new.target === undefined) {
+      throw new TypeError("Failed to construct 'Audio': Please use the 'new' operator.");
+    }
+    const audio = Reflect.construct(OriginalAudio, arguments, new.target);
+    registerMedia(audio);
+    return audio;
+  };
+  Audio.prototype = OriginalAudio.prototype;
+  window.Audio = Audio;
+
+  // Detached media created any other way, or created before we were injected, is caught when it plays
+  const originalPlay = HTMLMediaElement.prototype.play;
+  HTMLMediaElement.prototype.play = function () {
+    registerMedia(this);
+    return originalPlay.apply(this, arguments);
+  };
+
+  // Open shadow roots attached from now on
+  const originalAttachShadow = Element.prototype.attachShadow;
+  Element.prototype.attachShadow = function (init) {
+    const root = originalAttachShadow.apply(this, arguments);
+    if (init && init.mode === "open") {
+      remember(announcedHosts, this);
+      announce(REGISTER_SHADOW_EVENT, this);
+    }
+    return root;
+  };
+
+  // The content script loads after us; replay what it missed once it says it's ready
+  document.addEventListener(READY_EVENT, () => {
+    for (const ref of announcedMedia) {
+      const element = ref.deref();
+      if (element) {
+        announce(REGISTER_MEDIA_EVENT, element);
+      } else {
+        announcedMedia.delete(ref);
       }
-      return originalMethod.apply(this, arguments);
-    };
+    }
+    for (const ref of announcedHosts) {
+      const host = ref.deref();
+      if (host) {
+        announce(REGISTER_SHADOW_EVENT, host);
+      } else {
+        announcedHosts.delete(ref);
+      }
+    }
   });
-})();
+}
+
+if (document.currentScript) {
+  mediaControllerAttach();
+}
@@ -2,62 +2,2077 @@
 
 // This is the background script. It runs persistently and holds the extension's state.
 
-let siteVolumes = new Map();
+// Site rules: each rule matches sites by pattern and carries a group of settings.
+// Patterns are an exact hostname ("music.youtube.com"), a wildcard for a domain and all its
+// subdomains ("*.example.com"), or either of those followed by a URL path prefix ("example.com/podcasts").
+// { id, pattern, priority, settings: { volume, muted, playbackRate, autoplay } }
+let siteRules = [];
+const RULE_SETTING_KEYS = ['volume', 'muted', 'playbackRate', 'autoplay'];
+const AUTOPLAY_POLICIES = ['allow', 'block'];
+const DEFAULT_PORTS = { 'http:': '80', 'https:': '443' };
+let siteBoosts = new Map();
+let siteNormalize = new Map();
+let siteEqualizers = new Map(); // hostname -> { preset, bands: [{ frequency, gain }] }
+let eqPresets = new Map(); // user-saved preset name -> bands
+
+// Global playback behaviour, edited from the popup.
+// exclusiveMode: what happens to other tabs when media starts playing: 'off', 'pause' or 'duck'.
+// duckLevel: the fraction of their volume ducked tabs keep.
+// resumeMode: what happens when media we saved a position for loads again: 'off', 'prompt' or 'auto'.
+// resumeMinMinutes: positions are only saved for media at least this long.
+let playbackSettings = { exclusiveMode: 'off', resumeOthers: false, duckLevel: 0.2, excludedSites: [], resumeMode: 'prompt', resumeMinMinutes: 10 };
+
+// Saved playback positions of long media, so it can be resumed after the tab is closed or crashes.
+// "normalized page URL|element key" -> { url, elementKey, time, duration, title, savedAt }
+let savedPositions = new Map();
+let positionsSaveTimer = null;
+const POSITIONS_SAVE_DELAY_MS = 5000; // Positions are reported every few seconds; batch the writes
+const MAX_SAVED_POSITIONS = 200; // The oldest positions are forgotten beyond this
+// Query parameters that don't change what's playing: tracking, and start-time links like YouTube's ?t=
+const IGNORED_URL_PARAMS = /^(utm_.*|fbclid|gclid|mc_cid|mc_eid|si|t|start|feature)$/;
+
+// Tabs that have reported media activity: tabId -> { hostname, playing, lastActive, frameId, frames }
+// frames maps each reporting frame to whether its media is playing; the tab is playing if any frame is.
+// frameId is the frame whose media last started playing, so shortcuts reach the right player.
+const mediaTabs = new Map();
+let lastActiveMediaTabId = null;
+// Tabs we paused or ducked because another tab started playing: playing tabId -> { mode, tabs: Set of tabIds }
+const interruptedByTab = new Map();
+
+const DUCK_FADE_MS = 600;
+const SNAPSHOT_URL_LIFETIME_MS = 60000;
+
+// The toolbar button shows how many tabs are playing, and its icon whether they're playing, paused or muted.
+const audibleTabs = new Set(); // Tabs the browser reports as making sound, whether or not we saw their media
+let toolbarUpdateTimer = null;
+const TOOLBAR_UPDATE_DELAY_MS = 100; // Media events come in bursts (several frames, play then volumechange...)
+const TOOLBAR_ICONS = {
+  playing: 'icon-playing.svg',
+  paused: 'icon-paused.svg',
+  muted: 'icon-muted.svg'
+};
+
+// Aggregated media state pushed by content scripts: tabId -> { tab, frames: Map(frameId -> [mediaInfo]) }
+const stateStore = new Map();
+const contentPorts = new Map(); // "tabId:frameId" -> port from that frame's content script
+const popupPorts = new Set(); // Ports from open popups subscribed to state changes
+let siteSettingsNotifyTimer = null;
+const SITE_SETTINGS_NOTIFY_DELAY_MS = 200; // A dragged slider saves on every step; tell popups once it settles
+
+// Opt-in mirroring of the saved settings into browser.storage.sync. Each site, EQ preset and the
+// playback settings is one sync item ("site:<pattern>", "preset:<name>", "playbackSettings") that
+// carries the time it was last changed, so the newest change wins when devices disagree.
+let syncEnabled = false;
+let entryUpdatedAt = new Map(); // sync item key -> time of the last change on this device (or applied from sync)
+let siteLastUsed = new Map(); // pattern -> time a page last used the site's settings, to trim the least-used sites
+let syncPushTimer = null;
+let syncStatus = { lastSync: null, trimmed: 0, error: null };
+const SYNC_PUSH_DELAY_MS = 2000; // storage.sync limits writes per minute, so bursts of changes are batched
+const SYNC_QUOTA_BYTES = 102400; // browser.storage.sync limits
+const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+const SYNC_MAX_ITEMS = 512;
+const SYNC_QUOTA_HEADROOM = 0.9; // Leave some room so a few edits between pushes can't hit the quota
+const SYNC_TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000; // How long a deletion is kept around for other devices
+const LAST_USED_SAVE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Sleep timer: at endsAt every tab's media is faded out and paused. In "end of track" mode it
+// instead stops when the media playing in tabId ends. Runs on alarms so it doesn't need the popup.
+// { mode: 'time' | 'endOfTrack', endsAt, fadeStartsAt, tabId }
+let sleepTimer = null;
+let sleepFade = null; // While fading: { media: [{ tabId, frameId, id, volume }], startedAt, duration, intervalId }
+const SLEEP_ALARM = 'sleep-timer';
+const SLEEP_FADE_ALARM = 'sleep-timer-fade';
+const SLEEP_FADE_SECONDS = 30; // How long the volume ramps down before everything is paused
+const SLEEP_FADE_STEP_MS = 1000;
+
+// Cross-tab play queue, built in the popup. When queued media ends, the next item plays.
+// Items keep the element's position in its frame and the tab's URL, so they can be found again
+// after the tab reloads (media IDs start over then). mediaId is null until it's found again.
+// [{ key, tabId, frameId, mediaId, index, url, title }]
+let playQueue = [];
+
+const SEEK_STEP_SECONDS = 10;
+const VOLUME_STEP = 0.05;
+const MAX_SITE_VOLUME = 3; // 300%, the top of the popup's site slider (boost included)
+const NORMALIZE_PRESET_NAMES = ['quiet', 'standard', 'loud'];
+const EXCLUSIVE_MODES = ['off', 'pause', 'duck'];
+const RESUME_MODES = ['off', 'prompt', 'auto'];
+
+// Version of the JSON file written by the options page's export. Bump it when the format changes
+// and teach importSettings to read the old one.
+const SETTINGS_EXPORT_VERSION = 1;
+
+// Version of the data layout in browser.storage.local. Data saved by an older version is upgraded
+// by running MIGRATIONS[storedVersion] ... MIGRATIONS[SCHEMA_VERSION - 1] in order when the
+// extension starts. Data saved before versioning existed counts as version 0.
+const SCHEMA_VERSION = 1;
+const MIGRATIONS = [
+  // 0 -> 1: per-hostname siteVolumes and siteRates became exact-hostname site rules.
+  // Settings already present in a rule win over the old values.
+  (data) => {
+    const rules = Array.isArray(data.siteRules) ? data.siteRules : [];
+    const upsert = (hostname, key, value) => {
+      let rule = rules.find(r => r.pattern === hostname);
+      if (!rule) {
+        rule = { id: crypto.randomUUID(), pattern: hostname, priority: 0, settings: {} };
+        rules.push(rule);
+      }
+      if (rule.settings[key] === undefined) {
+        rule.settings[key] = value;
+      }
+    };
+    Object.entries(data.siteVolumes || {}).forEach(([hostname, volume]) => upsert(hostname, 'volume', volume));
+    Object.entries(data.siteRates || {}).forEach(([hostname, rate]) => upsert(hostname, 'playbackRate', rate));
+    data.siteRules = rules;
+    delete data.siteVolumes;
+    delete data.siteRates;
+    return ['siteVolumes', 'siteRates'];
+  }
+];
+
+/**
+ * Brings stored data up to SCHEMA_VERSION. The upgraded data is written back before any old keys
+ * are removed, so an interrupted migration never loses settings.
+ * @param {Object} data - Everything in browser.storage.local; upgraded in place.
+ */
+async function migrateStorage(data) {
+  const storedVersion = data.schemaVersion ?? 0;
+  if (storedVersion > SCHEMA_VERSION) {
+    console.warn(`Media Controller: Stored settings are from a newer version (schema ${storedVersion}); loading them as they are.`);
+    return;
+  }
+  if (storedVersion === SCHEMA_VERSION) {
+    return;
+  }
+  const removedKeys = [];
+  for (let version = storedVersion; version < SCHEMA_VERSION; version++) {
+    removedKeys.push(...MIGRATIONS[version](data));
+  }
+  data.schemaVersion = SCHEMA_VERSION;
+  await browser.storage.local.set(data);
+  await browser.storage.local.remove(removedKeys);
+  console.log(`Media Controller: Migrated stored settings from schema ${storedVersion} to ${SCHEMA_VERSION}.`);
+}
+
+/**
+ * Loads the saved site rules and other settings from browser storage into memory.
+ */
+async function loadVolumesFromStorage() {
+  try {
+    const data = await browser.storage.local.get(null);
+    try {
+      await migrateStorage(data);
+    } catch (e) {
+      // Keep going with whatever was upgraded in memory; the migration is retried next start
+      console.error('Media Controller: Error migrating stored settings.', e);
+    }
+    if (data.siteRules) {
+      siteRules = data.siteRules;
+      console.log('Media Controller: Site rules loaded from storage.', siteRules);
+    }
+    if (data.siteBoosts) {
+      siteBoosts = new Map(Object.entries(data.siteBoosts));
+      console.log('Media Controller: Volume boosts loaded from storage.', siteBoosts);
+    }
+    if (data.siteNormalize) {
+      siteNormalize = new Map(Object.entries(data.siteNormalize));
+      console.log('Media Controller: Normalize settings loaded from storage.', siteNormalize);
+    }
+    if (data.siteEqualizers) {
+      siteEqualizers = new Map(Object.entries(data.siteEqualizers));
+      console.log('Media Controller: Equalizers loaded from storage.', siteEqualizers);
+    }
+    if (data.eqPresets) {
+      eqPresets = new Map(Object.entries(data.eqPresets));
+    }
+    if (data.playbackSettings) {
+      playbackSettings = { ...playbackSettings, ...data.playbackSettings };
+    }
+    if (data.savedPositions) {
+      savedPositions = new Map(Object.entries(data.savedPositions));
+    }
+    if (data.syncState) {
+      syncEnabled = Boolean(data.syncState.enabled);
+      entryUpdatedAt = new Map(Object.entries(data.syncState.updatedAt || {}));
+      siteLastUsed = new Map(Object.entries(data.syncState.lastUsed || {}));
+    }
+  } catch (e) {
+    console.error('Media Controller: Error loading volumes from storage.', e);
+  }
+}
+
+/**
+ * Saves the site rules from memory to browser storage.
+ */
+async function saveRulesToStorage() {
+  notifySiteSettingsChanged();
+  try {
+    await browser.storage.local.set({ siteRules });
+  } catch (e) {
+    console.error('Media Controller: Error saving site rules to storage.', e);
+  }
+}
+
+/**
+ * Tells open popups that saved site settings changed (from a shortcut, the context menu, the
+ * options page or sync), so they can reload them and keep their sliders accurate, and tells
+ * open tabs so their media picks up the new volume, rate and autoplay policy without a reload.
+ */
+function notifySiteSettingsChanged() {
+  clearTimeout(siteSettingsNotifyTimer);
+  siteSettingsNotifyTimer = setTimeout(() => {
+    broadcastToPopups({ type: 'siteSettings' });
+    broadcastToTabs({ cmd: 'siteSettingsChanged' });
+  }, SITE_SETTINGS_NOTIFY_DELAY_MS);
+}
+
+/**
+ * Splits a rule pattern into its host, port and path parts.
+ * @param {string} pattern - e.g. "*.example.com/podcasts" or "localhost:8080".
+ * @returns {{host: string, wildcard: boolean, port: ?string, path: string}|null} null if the pattern is invalid.
+ */
+function parseRulePattern(pattern) {
+  if (typeof pattern !== 'string') {
+    return null;
+  }
+  const match = /^(\*\.)?([a-z0-9.-]+|\[[0-9a-f:]+\])(?::(\d+))?(\/.*)?$/i.exec(pattern.trim());
+  if (!match) {
+    return null;
+  }
+  return { host: match[2].toLowerCase(), wildcard: Boolean(match[1]), port: match[3] ?? null, path: match[4] || '' };
+}
+
+/**
+ * Checks whether a rule applies to a URL.
+ * @param {Object} rule - The site rule.
+ * @param {URL} url - The page's URL.
+ * @returns {boolean}
+ */
+function ruleMatches(rule, url) {
+  const parsed = parseRulePattern(rule.pattern);
+  if (!parsed) {
+    return false;
+  }
+  const hostMatches = parsed.wildcard ?
+    url.hostname === parsed.host || url.hostname.endsWith(`.${parsed.host}`) :
+    url.hostname === parsed.host;
+  // Without a port the rule covers every port; URL leaves out the scheme's default one
+  const urlPort = url.port || DEFAULT_PORTS[url.protocol] || '';
+  const portMatches = parsed.port === null || Number(parsed.port) === Number(urlPort);
+  // "/podcasts" covers "/podcasts" and "/podcasts/...", but not "/podcasts-old"
+  const path = parsed.path.replace(/\/$/, '');
+  const pathMatches = url.pathname === path || url.pathname.startsWith(`${path}/`);
+  return hostMatches && portMatches && pathMatches;
+}
+
+/**
+ * Ranks rules of equal priority: path prefixes beat hostnames, and exact hostnames beat wildcards.
+ * @param {Object} rule - The site rule.
+ * @returns {number} Higher is more specific.
+ */
+function ruleSpecificity(rule) {
+  const parsed = parseRulePattern(rule.pattern);
+  return (parsed.path ? 10000 + parsed.path.length * 100 : 0) + (parsed.wildcard ? 0 : 1000) + (parsed.port ? 500 : 0) + parsed.host.length;
+}
+
+/**
+ * Works out the settings for a page from every rule that matches it. Each setting comes from the
+ * highest-priority matching rule that has it; ties go to the more specific rule.
+ * @param {string} pageUrl - The page's URL.
+ * @returns {Object} The resolved settings; settings no rule sets are left out.
+ */
+function resolveSiteSettings(pageUrl) {
+  let url;
+  try {
+    url = new URL(pageUrl);
+  } catch (e) {
+    return {};
+  }
+  const matching = siteRules
+    .filter(rule => ruleMatches(rule, url))
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0) || ruleSpecificity(b) - ruleSpecificity(a));
+
+  const settings = {};
+  for (const rule of matching) {
+    for (const key of RULE_SETTING_KEYS) {
+      if (settings[key] === undefined && rule.settings[key] !== undefined) {
+        settings[key] = rule.settings[key];
+      }
+    }
+  }
+  return settings;
+}
+
+/**
+ * Lists the sites whose saved settings a page uses: the patterns of its matching rules and its
+ * hostname (for boost, normalization and EQ).
+ * @param {string} pageUrl - The page's URL.
+ * @returns {string[]}
+ */
+function getMatchingPatterns(pageUrl) {
+  let url;
+  try {
+    url = new URL(pageUrl);
+  } catch (e) {
+    return [];
+  }
+  return [url.hostname, ...siteRules.filter(rule => ruleMatches(rule, url)).map(rule => rule.pattern)];
+}
+
+/**
+ * Reads one setting from the exact-hostname rule for a site (the rule the popup edits).
+ * @param {string} hostname - The site's hostname.
+ * @param {string} key - One of RULE_SETTING_KEYS.
+ * @returns {*} The value, or undefined if there's no such rule or setting.
+ */
+function getSiteSetting(hostname, key) {
+  return siteRules.find(rule => rule.pattern === hostname)?.settings[key];
+}
+
+/**
+ * Sets one setting on the exact-hostname rule for a site, creating the rule if needed.
+ * Rules left without any settings are removed.
+ * @param {string} hostname - The site's hostname.
+ * @param {string} key - One of RULE_SETTING_KEYS.
+ * @param {*} value - The value, or undefined to clear it.
+ */
+function setSiteSetting(hostname, key, value) {
+  let rule = siteRules.find(r => r.pattern === hostname);
+  if (!rule) {
+    if (value === undefined) {
+      return;
+    }
+    rule = { id: crypto.randomUUID(), pattern: hostname, priority: 0, settings: {} };
+    siteRules.push(rule);
+  }
+  if (value === undefined) {
+    delete rule.settings[key];
+  } else {
+    rule.settings[key] = value;
+  }
+  if (Object.keys(rule.settings).length === 0) {
+    siteRules = siteRules.filter(r => r !== rule);
+  }
+}
+
+/**
+ * Collects one setting from every exact-hostname rule, in the hostname -> value shape the popup uses.
+ * @param {string} key - One of RULE_SETTING_KEYS.
+ * @returns {Object}
+ */
+function getAllSiteSettings(key) {
+  const values = {};
+  for (const rule of siteRules) {
+    const parsed = parseRulePattern(rule.pattern);
+    if (parsed && !parsed.wildcard && !parsed.path && rule.settings[key] !== undefined) {
+      values[rule.pattern] = rule.settings[key];
+    }
+  }
+  return values;
+}
+
+/**
+ * Checks a rule sent by the popup or options page and fills in defaults.
+ * @param {Object} rule - The rule to check.
+ * @returns {Object} A clean copy of the rule.
+ * @throws {Error} If the pattern or a setting is invalid.
+ */
+function normalizeRule(rule) {
+  if (!parseRulePattern(rule?.pattern)) {
+    throw new Error(`Invalid site pattern: ${rule?.pattern}`);
+  }
+  const settings = {};
+  const { volume, muted, playbackRate, autoplay } = rule.settings || {};
+  if (volume !== undefined) {
+    if (typeof volume !== 'number' || volume < 0 || volume > 1) {
+      throw new Error('Volume must be a number between 0 and 1.');
+    }
+    settings.volume = volume;
+  }
+  if (muted !== undefined) {
+    settings.muted = Boolean(muted);
+  }
+  if (playbackRate !== undefined) {
+    if (typeof playbackRate !== 'number' || playbackRate < 0.0625 || playbackRate > 16) {
+      throw new Error('Playback rate must be a number between 0.0625 and 16.');
+    }
+    settings.playbackRate = playbackRate;
+  }
+  if (autoplay !== undefined) {
+    if (!AUTOPLAY_POLICIES.includes(autoplay)) {
+      throw new Error(`Autoplay policy must be one of: ${AUTOPLAY_POLICIES.join(', ')}.`);
+    }
+    settings.autoplay = autoplay;
+  }
+  return {
+    id: rule.id || crypto.randomUUID(),
+    pattern: rule.pattern.trim().toLowerCase(),
+    priority: Number.isFinite(rule.priority) ? rule.priority : 0,
+    settings
+  };
+}
+
+/**
+ * Saves the current volume boost settings from memory to browser storage.
+ */
+async function saveBoostsToStorage() {
+  notifySiteSettingsChanged();
+  try {
+    await browser.storage.local.set({ siteBoosts: Object.fromEntries(siteBoosts) });
+  } catch (e) {
+    console.error('Media Controller: Error saving volume boosts to storage.', e);
+  }
+}
+
+/**
+ * Saves the current normalize settings from memory to browser storage.
+ */
+async function saveNormalizeToStorage() {
+  notifySiteSettingsChanged();
+  try {
+    await browser.storage.local.set({ siteNormalize: Object.fromEntries(siteNormalize) });
+  } catch (e) {
+    console.error('Media Controller: Error saving normalize settings to storage.', e);
+  }
+}
+
+/**
+ * Saves the per-site equalizers and the user's custom EQ presets to browser storage.
+ */
+async function saveEqualizersToStorage() {
+  notifySiteSettingsChanged();
+  try {
+    await browser.storage.local.set({
+      siteEqualizers: Object.fromEntries(siteEqualizers),
+      eqPresets: Object.fromEntries(eqPresets)
+    });
+  } catch (e) {
+    console.error('Media Controller: Error saving equalizers to storage.', e);
+  }
+}
+
+/**
+ * Saves the global playback behaviour settings to browser storage.
+ */
+async function savePlaybackSettingsToStorage() {
+  try {
+    await browser.storage.local.set({ playbackSettings });
+  } catch (e) {
+    console.error('Media Controller: Error saving playback settings to storage.', e);
+  }
+}
+
+/**
+ * Saves the playback positions to browser storage a few seconds after a change. Changes made
+ * while a save is pending go into that save, so a steady stream of reports can't keep delaying it.
+ */
+function scheduleSavePositions() {
+  if (positionsSaveTimer !== null) {
+    return;
+  }
+  positionsSaveTimer = setTimeout(async () => {
+    positionsSaveTimer = null;
+    try {
+      await browser.storage.local.set({ savedPositions: Object.fromEntries(savedPositions) });
+    } catch (e) {
+      console.error('Media Controller: Error saving playback positions to storage.', e);
+    }
+  }, POSITIONS_SAVE_DELAY_MS);
+}
+
+/**
+ * Normalizes a page URL for remembering positions: no fragment, no tracking or start-time
+ * parameters, and the remaining parameters in a stable order.
+ * @param {string} pageUrl - The URL of the page (or frame) the media is in.
+ * @returns {string}
+ */
+function normalizePositionUrl(pageUrl) {
+  const url = new URL(pageUrl);
+  url.hash = '';
+  const params = [...url.searchParams].filter(([name]) => !IGNORED_URL_PARAMS.test(name)).sort(([a], [b]) => a.localeCompare(b));
+  url.search = new URLSearchParams(params).toString();
+  return url.href;
+}
+
+/**
+ * Works out the key a media element's position is saved under.
+ * @param {string} pageUrl - The URL of the page (or frame) the media is in.
+ * @param {string} elementKey - Identifies the element within the page (its source URL, or its position).
+ * @returns {string}
+ */
+function getPositionKey(pageUrl, elementKey) {
+  return `${normalizePositionUrl(pageUrl)}|${elementKey}`;
+}
+
+/**
+ * Remembers where playback of a long media element is.
+ * @param {Object} request - { url, elementKey, time, duration, title } from the content script.
+ */
+function savePosition({ url, elementKey, time, duration, title }) {
+  const key = getPositionKey(url, elementKey);
+  savedPositions.delete(key); // Re-insert so the Map stays ordered from oldest to newest
+  savedPositions.set(key, { url: normalizePositionUrl(url), elementKey, time, duration, title, savedAt: Date.now() });
+  while (savedPositions.size > MAX_SAVED_POSITIONS) {
+    savedPositions.delete(savedPositions.keys().next().value);
+  }
+  scheduleSavePositions();
+}
+
+/**
+ * Saves the sync toggle and the change/usage timestamps sync relies on.
+ */
+async function saveSyncStateToStorage() {
+  try {
+    await browser.storage.local.set({
+      syncState: {
+        enabled: syncEnabled,
+        updatedAt: Object.fromEntries(entryUpdatedAt),
+        lastUsed: Object.fromEntries(siteLastUsed)
+      }
+    });
+  } catch (e) {
+    console.error('Media Controller: Error saving sync state to storage.', e);
+  }
+}
+
+/**
+ * Records that a sync item changed on this device and schedules a push to storage.sync.
+ * Call it whenever a saved setting is changed, so the change can win over older ones elsewhere.
+ * @param {string} key - The sync item key, e.g. "site:example.com".
+ */
+function markChanged(key) {
+  entryUpdatedAt.set(key, Date.now());
+  saveSyncStateToStorage();
+  scheduleSyncPush();
+}
+
+/**
+ * Shorthand for markChanged on a site's sync item.
+ * @param {string} pattern - The site's hostname or rule pattern.
+ */
+function markSiteChanged(pattern) {
+  markChanged(`site:${pattern}`);
+}
+
+/**
+ * Records that pages used these sites' settings, for trimming the least recently used sites from sync.
+ * Only saved now and then, as it happens on every page load.
+ * @param {string[]} patterns - The hostnames or rule patterns used.
+ */
+function noteSitesUsed(patterns) {
+  if (!syncEnabled) {
+    return;
+  }
+  const now = Date.now();
+  let stale = false;
+  for (const pattern of patterns) {
+    stale = stale || now - (siteLastUsed.get(pattern) ?? 0) > LAST_USED_SAVE_INTERVAL_MS;
+    siteLastUsed.set(pattern, now);
+  }
+  if (stale) {
+    saveSyncStateToStorage();
+  }
+}
+
+/**
+ * Lists every site with something saved: rules, boosts, normalization or EQ.
+ * @returns {Set<string>} The hostnames and rule patterns.
+ */
+function getSavedSites() {
+  return new Set([...siteRules.map(rule => rule.pattern), ...siteBoosts.keys(), ...siteNormalize.keys(), ...siteEqualizers.keys()]);
+}
+
+/**
+ * Collects everything saved for one site into its sync item.
+ * @param {string} pattern - The site's hostname or rule pattern.
+ * @returns {Object} The item; a tombstone if nothing is saved for the site any more.
+ */
+function getSiteSyncItem(pattern) {
+  const updatedAt = entryUpdatedAt.get(`site:${pattern}`) ?? 0;
+  const rule = siteRules.find(r => r.pattern === pattern);
+  if (!getSavedSites().has(pattern)) {
+    return { updatedAt, deleted: true };
+  }
+  return {
+    updatedAt,
+    rule: rule ? { id: rule.id, priority: rule.priority, settings: rule.settings } : null,
+    boost: siteBoosts.get(pattern) ?? null,
+    normalize: siteNormalize.get(pattern) ?? null,
+    equalizer: siteEqualizers.get(pattern) ?? null
+  };
+}
+
+/**
+ * Replaces what's saved for one site with a sync item from another device.
+ * @param {string} pattern - The site's hostname or rule pattern.
+ * @param {Object} item - The sync item.
+ */
+function applySiteSyncItem(pattern, item) {
+  siteRules = siteRules.filter(rule => rule.pattern !== pattern);
+  siteBoosts.delete(pattern);
+  siteNormalize.delete(pattern);
+  siteEqualizers.delete(pattern);
+  if (item.deleted) {
+    return;
+  }
+  if (item.rule) {
+    siteRules.push({ id: item.rule.id, pattern, priority: item.rule.priority, settings: item.rule.settings });
+  }
+  if (item.boost !== null) {
+    siteBoosts.set(pattern, item.boost);
+  }
+  if (item.normalize) {
+    siteNormalize.set(pattern, item.normalize);
+  }
+  if (item.equalizer) {
+    siteEqualizers.set(pattern, item.equalizer);
+  }
+}
+
+/**
+ * Builds the sync items for everything saved on this device. When it all doesn't fit in the
+ * storage.sync quota, the least recently used sites are left out (they stay saved on this device).
+ * @returns {{items: Object, trimmed: number}}
+ */
+function buildSyncItems() {
+  const itemSize = (key, value) => key.length + JSON.stringify(value).length;
+  const items = { schemaVersion: SCHEMA_VERSION };
+  let totalBytes = itemSize('schemaVersion', SCHEMA_VERSION);
+
+  // Global settings and deletions are small and always synced
+  const fixed = { playbackSettings: { updatedAt: entryUpdatedAt.get('playbackSettings') ?? 0, value: playbackSettings } };
+  for (const [name, bands] of eqPresets) {
+    fixed[`preset:${name}`] = { updatedAt: entryUpdatedAt.get(`preset:${name}`) ?? 0, value: bands };
+  }
+  for (const [key, updatedAt] of entryUpdatedAt) {
+    if (key.startsWith('preset:') && !eqPresets.has(key.slice(7)) && Date.now() - updatedAt < SYNC_TOMBSTONE_TTL_MS) {
+      fixed[key] = { updatedAt, deleted: true };
+    }
+    if (key.startsWith('site:') && !getSavedSites().has(key.slice(5)) && Date.now() - updatedAt < SYNC_TOMBSTONE_TTL_MS) {
+      fixed[key] = { updatedAt, deleted: true };
+    }
+  }
+  for (const [key, value] of Object.entries(fixed)) {
+    items[key] = value;
+    totalBytes += itemSize(key, value);
+  }
+
+  const budget = SYNC_QUOTA_BYTES * SYNC_QUOTA_HEADROOM;
+  const lastUsed = (pattern) => siteLastUsed.get(pattern) ?? entryUpdatedAt.get(`site:${pattern}`) ?? 0;
+  const sites = [...getSavedSites()].sort((a, b) => lastUsed(b) - lastUsed(a));
+  let trimmed = 0;
+  for (const pattern of sites) {
+    const key = `site:${pattern}`;
+    const item = getSiteSyncItem(pattern);
+    const size = itemSize(key, item);
+    if (size > SYNC_QUOTA_BYTES_PER_ITEM || totalBytes + size > budget || Object.keys(items).length >= SYNC_MAX_ITEMS) {
+      trimmed++;
+      continue;
+    }
+    items[key] = item;
+    totalBytes += size;
+  }
+  return { items, trimmed };
+}
+
+/**
+ * Applies the sync items that are newer than what this device has, then pushes the new
+ * settings to open tabs of the affected sites.
+ * @param {Object} remote - Sync items by key.
+ * @returns {boolean} Whether anything changed.
+ */
+function applyRemoteSyncItems(remote) {
+  const changedSites = [];
+  let changed = false;
+  for (const [key, item] of Object.entries(remote)) {
+    // Anything this device has never timestamped (e.g. saved before sync was on) takes the synced value
+    if (!item || typeof item !== 'object' || !(item.updatedAt > (entryUpdatedAt.get(key) ?? -1))) {
+      continue;
+    }
+    if (key.startsWith('site:')) {
+      applySiteSyncItem(key.slice(5), item);
+      changedSites.push(key.slice(5));
+    } else if (key.startsWith('preset:')) {
+      if (item.deleted) {
+        eqPresets.delete(key.slice(7));
+      } else {
+        eqPresets.set(key.slice(7), item.value);
+      }
+    } else if (key === 'playbackSettings') {
+      playbackSettings = { ...playbackSettings, ...item.value };
+    } else {
+      continue;
+    }
+    entryUpdatedAt.set(key, item.updatedAt);
+    changed = true;
+  }
+
+  if (changed) {
+    saveRulesToStorage();
+    saveBoostsToStorage();
+    saveNormalizeToStorage();
+    saveEqualizersToStorage();
+    savePlaybackSettingsToStorage();
+    saveSyncStateToStorage();
+    applySitesToOpenTabs(changedSites);
+  }
+  return changed;
+}
+
+/**
+ * Sends the current settings of the given sites to their open tabs, so changes that didn't come
+ * from the popup (e.g. from another device) apply without a reload.
+ * @param {string[]} patterns - The hostnames or rule patterns that changed.
+ */
+async function applySitesToOpenTabs(patterns) {
+  if (patterns.length === 0) {
+    return;
+  }
+  const tabs = await browser.tabs.query({ url: ['<all_urls>'] });
+  for (const tab of tabs) {
+    const url = new URL(tab.url);
+    if (!patterns.some(pattern => ruleMatches({ pattern }, url))) {
+      continue;
+    }
+    const hostname = url.hostname;
+    const { volume } = resolveSiteSettings(tab.url);
+    if (volume !== undefined) {
+      browser.tabs.sendMessage(tab.id, { cmd: 'siteVolume', volume, gain: siteBoosts.get(hostname) ?? 1 }).catch(() => {});
+    }
+    browser.tabs.sendMessage(tab.id, { cmd: 'normalize', preset: siteNormalize.get(hostname) ?? null }).catch(() => {});
+    browser.tabs.sendMessage(tab.id, { cmd: 'equalizer', bands: siteEqualizers.get(hostname)?.bands ?? null }).catch(() => {});
+  }
+}
+
+function scheduleSyncPush() {
+  if (syncEnabled && !syncPushTimer) {
+    syncPushTimer = setTimeout(syncNow, SYNC_PUSH_DELAY_MS);
+  }
+}
+
+/**
+ * Merges storage.sync with this device: newer items from other devices are applied here, then
+ * this device's newer items are written back, trimmed to fit the quota.
+ */
+async function syncNow() {
+  clearTimeout(syncPushTimer);
+  syncPushTimer = null;
+  if (!syncEnabled) {
+    return;
+  }
+  try {
+    const remote = await browser.storage.sync.get(null);
+    if ((remote.schemaVersion ?? SCHEMA_VERSION) > SCHEMA_VERSION) {
+      throw new Error('Synced settings come from a newer version of the extension. Update it on this device to sync.');
+    }
+    applyRemoteSyncItems(remote);
+
+    const { items, trimmed } = buildSyncItems();
+    const changes = {};
+    for (const [key, item] of Object.entries(items)) {
+      if (key === 'schemaVersion' ? remote.schemaVersion !== item : !(remote[key]?.updatedAt >= item.updatedAt)) {
+        changes[key] = item;
+      }
+    }
+    // Items we no longer sync: expired deletions, and sites trimmed to make room
+    const stale = Object.keys(remote).filter(key => !(key in items));
+    if (stale.length > 0) {
+      await browser.storage.sync.remove(stale);
+    }
+    if (Object.keys(changes).length > 0) {
+      await browser.storage.sync.set(changes);
+    }
+    syncStatus = { lastSync: Date.now(), trimmed, error: null };
+  } catch (e) {
+    console.error('Media Controller: Error syncing settings.', e);
+    syncStatus = { ...syncStatus, error: e.message };
+  }
+}
+
+/**
+ * Turns settings sync on or off. Turning it on merges this device's settings with the synced ones.
+ * @param {boolean} enabled - Whether to sync.
+ */
+async function setSyncEnabled(enabled) {
+  syncEnabled = enabled;
+  await saveSyncStateToStorage();
+  if (enabled) {
+    await syncNow();
+  } else {
+    clearTimeout(syncPushTimer);
+    syncPushTimer = null;
+    syncStatus = { lastSync: null, trimmed: 0, error: null };
+  }
+}
+
+// Other devices' changes arrive here while we're running, and apply live
+browser.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'sync' || !syncEnabled) {
+    return;
+  }
+  const remote = {};
+  for (const [key, change] of Object.entries(changes)) {
+    // Removed keys are trimmed or expired items, not deletions; those arrive as tombstones
+    if (change.newValue !== undefined) {
+      remote[key] = change.newValue;
+    }
+  }
+  if (remote.schemaVersion > SCHEMA_VERSION) {
+    syncStatus = { ...syncStatus, error: 'Synced settings come from a newer version of the extension. Update it on this device to sync.' };
+    return;
+  }
+  applyRemoteSyncItems(remote);
+});
+
+browser.browserAction.setBadgeBackgroundColor({ color: '#22c55e' });
+browser.browserAction.setBadgeTextColor({ color: '#ffffff' });
+// Pick up tabs that were already playing when the extension started
+browser.tabs.query({ audible: true }).then(tabs => {
+  tabs.forEach(tab => audibleTabs.add(tab.id));
+  scheduleToolbarUpdate();
+});
+
+// Load volumes when the background script starts up, then catch up with other devices.
+loadVolumesFromStorage().then(() => {
+  if (syncEnabled) {
+    syncNow();
+  }
+});
+
+/**
+ * Records a play/pause/ended report from a content script.
+ * @param {Object} tab - The tab the report came from.
+ * @param {number} frameId - The frame within the tab that reported it.
+ * @param {string} event - The media event type.
+ * @param {boolean} playing - Whether any media in the reporting frame is still playing.
+ * @param {boolean} audible - Whether the media that sent the event can be heard (not muted or at volume 0).
+ */
+function recordMediaActivity(tab, frameId, event, playing, audible) {
+  // Media with `loop` set never ends; content scripts report 'looped' when it goes back to the start
+  if ((event === 'ended' || event === 'looped') && sleepTimer?.mode === 'endOfTrack' && sleepTimer.tabId === tab.id) {
+    fireSleepTimer();
+  }
+  const hostname = new URL(tab.url).hostname;
+  const state = mediaTabs.get(tab.id) ?? { frames: new Map(), frameId };
+  state.hostname = hostname;
+  state.lastActive = Date.now();
+  state.frames.set(frameId, playing);
+  state.playing = [...state.frames.values()].some(Boolean);
+  if (event === 'play') {
+    state.frameId = frameId;
+    lastActiveMediaTabId = tab.id;
+  }
+  mediaTabs.set(tab.id, state);
+  // Muted autoplay previews (hover thumbnails, background videos) shouldn't pause the other tabs
+  if (event !== 'play' || audible) {
+    enforceExclusivePlayback(tab.id, hostname, event, state.playing);
+  }
+  scheduleToolbarUpdate();
+}
+
+/**
+ * Forgets a frame's media once its content script is gone (the frame was removed or navigated),
+ * treating the tab as stopped if that frame was the only one playing.
+ * @param {number} tabId - The tab the frame was in.
+ * @param {number} frameId - The frame.
+ */
+function forgetMediaFrame(tabId, frameId) {
+  const state = mediaTabs.get(tabId);
+  if (!state?.frames.delete(frameId)) {
+    return;
+  }
+  const wasPlaying = state.playing;
+  state.playing = [...state.frames.values()].some(Boolean);
+  if (wasPlaying && !state.playing) {
+    enforceExclusivePlayback(tabId, state.hostname, 'emptied', false);
+    scheduleToolbarUpdate();
+  }
+}
+
+function scheduleToolbarUpdate() {
+  clearTimeout(toolbarUpdateTimer);
+  toolbarUpdateTimer = setTimeout(updateToolbarButton, TOOLBAR_UPDATE_DELAY_MS);
+}
+
+/**
+ * Updates the toolbar button from the tabs that are playing: a tab counts when its content script
+ * reported media playing or the browser says it's audible. The badge shows how many there are, the
+ * icon whether they're playing, all muted, or paused, and the tooltip lists them.
+ */
+async function updateToolbarButton() {
+  const playingTabIds = new Set(audibleTabs);
+  for (const [tabId, state] of mediaTabs) {
+    if (state.playing) {
+      playingTabIds.add(tabId);
+    }
+  }
+  const playingTabs = (await Promise.all([...playingTabIds].map(tabId => browser.tabs.get(tabId).catch(() => null))))
+    .filter(Boolean);
+
+  let state = null; // The manifest's icon while no tab has played anything yet
+  if (playingTabs.some(tab => !tab.mutedInfo?.muted)) {
+    state = 'playing';
+  } else if (playingTabs.length > 0) {
+    state = 'muted';
+  } else if (mediaTabs.size > 0) {
+    state = 'paused';
+  }
+
+  try {
+    await browser.browserAction.setBadgeText({ text: playingTabs.length > 0 ? String(playingTabs.length) : '' });
+    await browser.browserAction.setIcon({ path: state ? TOOLBAR_ICONS[state] : null });
+    await browser.browserAction.setTitle({
+      title: playingTabs.length > 0
+        ? `Media Controller\nPlaying in ${playingTabs.length === 1 ? '1 tab' : `${playingTabs.length} tabs`}:\n` +
+          playingTabs.map(tab => `• ${tab.mutedInfo?.muted ? '(muted) ' : ''}${tab.title || tab.url}`).join('\n')
+        : null
+    });
+  } catch (e) {
+    console.error('Media Controller: Error updating the toolbar button.', e);
+  }
+}
+
+/**
+ * "One player at a time": when media starts in one tab, pause or duck every other playing tab,
+ * then resume/restore them once that tab stops playing.
+ * @param {number} tabId - The tab that reported the event.
+ * @param {string} hostname - That tab's hostname.
+ * @param {string} event - The media event type.
+ * @param {boolean} playing - Whether any media in the tab is still playing.
+ */
+function enforceExclusivePlayback(tabId, hostname, event, playing) {
+  if (playbackSettings.exclusiveMode === 'off' || playbackSettings.excludedSites.includes(hostname)) {
+    return;
+  }
+
+  if (event === 'play') {
+    // A ducked tab moving on to its next track shouldn't take over from the foreground tab
+    if (isTabDucked(tabId)) {
+      return;
+    }
+    const mode = playbackSettings.exclusiveMode;
+    for (const [otherTabId, state] of mediaTabs) {
+      if (otherTabId === tabId || !state.playing || playbackSettings.excludedSites.includes(state.hostname)) {
+        continue;
+      }
+      const message = mode === 'duck'
+        ? { cmd: 'duck', level: playbackSettings.duckLevel, fadeMs: DUCK_FADE_MS }
+        : { cmd: 'pauseAll', remember: true };
+      browser.tabs.sendMessage(otherTabId, message).catch(() => {});
+      if (!interruptedByTab.has(tabId) || interruptedByTab.get(tabId).mode !== mode) {
+        interruptedByTab.set(tabId, { mode, tabs: new Set() });
+      }
+      interruptedByTab.get(tabId).tabs.add(otherTabId);
+      // Whoever we interrupted no longer restores the tabs it interrupted; ducked ones are still playing, so we just took them over
+      interruptedByTab.delete(otherTabId);
+    }
+  } else if (!playing) {
+    restoreTabsInterruptedBy(tabId);
+  }
+}
+
+/**
+ * Checks whether a tab is currently ducked by another tab.
+ * @param {number} tabId - The tab to check.
+ * @returns {boolean}
+ */
+function isTabDucked(tabId) {
+  return [...interruptedByTab.values()].some(entry => entry.mode === 'duck' && entry.tabs.has(tabId));
+}
+
+/**
+ * Undoes what the given tab did to others when it started playing: ducked tabs always get
+ * their volume back, paused tabs are resumed only if that option is on.
+ * @param {number} tabId - The tab that was playing.
+ */
+function restoreTabsInterruptedBy(tabId) {
+  const entry = interruptedByTab.get(tabId);
+  interruptedByTab.delete(tabId);
+  if (!entry) {
+    return;
+  }
+  if (entry.mode === 'duck') {
+    for (const duckedTabId of entry.tabs) {
+      browser.tabs.sendMessage(duckedTabId, { cmd: 'unduck', fadeMs: DUCK_FADE_MS }).catch(() => {});
+    }
+  } else if (playbackSettings.resumeOthers) {
+    for (const pausedTabId of entry.tabs) {
+      browser.tabs.sendMessage(pausedTabId, { cmd: 'resumeAutoPaused' }).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Finds the tab whose media was most recently active, preferring one that is still playing.
+ * @returns {number|null} The tab id.
+ */
+function getLastActiveMediaTab() {
+  const byRecency = [...mediaTabs.entries()].sort((a, b) => b[1].lastActive - a[1].lastActive);
+  const playing = byRecency.find(([, state]) => state.playing);
+  if (playing) {
+    return playing[0];
+  }
+  return lastActiveMediaTabId ?? byRecency[0]?.[0] ?? null;
+}
+
+/**
+ * Works out which site the volume shortcuts apply to: the active tab if it has media,
+ * otherwise the tab with the most recently active media.
+ * @returns {Promise<string|null>} The hostname.
+ */
+async function getCurrentMediaHostname() {
+  const [activeTab] = await browser.tabs.query({ active: true, currentWindow: true });
+  const tabId = activeTab && mediaTabs.has(activeTab.id) ? activeTab.id : getLastActiveMediaTab();
+  if (tabId === null) {
+    return null;
+  }
+  const tab = await browser.tabs.get(tabId);
+  return new URL(tab.url).hostname;
+}
+
+/**
+ * Changes the current site's volume (boost included) by a step and pushes it to all its tabs.
+ * @param {number} delta - The change, e.g. 0.05 for +5%.
+ */
+async function stepSiteVolume(delta) {
+  const hostname = await getCurrentMediaHostname();
+  if (!hostname) {
+    return;
+  }
+  const current = (getSiteSetting(hostname, 'volume') ?? 1) * (siteBoosts.get(hostname) ?? 1);
+  await lockSiteVolume(hostname, current + delta);
+}
+
+/**
+ * Saves a site's volume level (0 to MAX_SITE_VOLUME, boost included) and pushes it to all its tabs.
+ * Levels above 1 are stored as full volume plus a boost.
+ * @param {string} hostname - The site.
+ * @param {number} level - The new level, e.g. 1.5 for 150%.
+ */
+async function lockSiteVolume(hostname, level) {
+  level = Math.round(Math.min(Math.max(level, 0), MAX_SITE_VOLUME) * 100) / 100;
+  const volume = Math.min(level, 1);
+  const gain = Math.max(level, 1);
+
+  setSiteSetting(hostname, 'volume', volume);
+  siteBoosts.set(hostname, gain);
+  saveRulesToStorage();
+  markSiteChanged(hostname);
+  saveBoostsToStorage();
+
+  const tabs = await browser.tabs.query({ url: ['<all_urls>'] });
+  for (const tab of tabs) {
+    if (new URL(tab.url).hostname === hostname) {
+      browser.tabs.sendMessage(tab.id, { cmd: 'siteVolume', volume, gain }).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Mutes every tab that is making sound, or unmutes all tabs if everything is already muted.
+ */
+async function toggleMuteAllTabs() {
+  const tabs = await browser.tabs.query({});
+  const candidates = tabs.filter(tab => tab.audible || mediaTabs.has(tab.id));
+  const shouldMute = candidates.some(tab => !tab.mutedInfo.muted);
+  const targets = shouldMute ? candidates : tabs.filter(tab => tab.mutedInfo.muted);
+  await Promise.all(targets.map(tab => browser.tabs.update(tab.id, { muted: shouldMute })));
+}
+
+/**
+ * Sends a command to every tab, ignoring tabs without our content script.
+ * @param {Object} message - The content script command.
+ */
+async function broadcastToTabs(message) {
+  const tabs = await browser.tabs.query({ url: ['<all_urls>'], discarded: false });
+  await Promise.all(tabs.map(tab => browser.tabs.sendMessage(tab.id, message).catch(() => {})));
+}
+
+/**
+ * Starts (or replaces) the sleep timer.
+ * @param {Object} options
+ * @param {number} [options.minutes] - Stop everything after this many minutes.
+ * @param {boolean} [options.endOfTrack] - Stop when the media currently playing ends instead.
+ */
+async function startSleepTimer({ minutes, endOfTrack }) {
+  await cancelSleepTimer();
+  if (endOfTrack) {
+    const tabId = getLastActiveMediaTab();
+    if (tabId === null) {
+      throw new Error('Nothing is playing.');
+    }
+    sleepTimer = { mode: 'endOfTrack', endsAt: null, fadeStartsAt: null, tabId };
+    return;
+  }
+  sleepTimer = { mode: 'time', endsAt: Date.now() + minutes * 60 * 1000, fadeStartsAt: null, tabId: null };
+  scheduleSleepAlarms();
+}
+
+/**
+ * Creates the alarms for a timed sleep timer: one to start fading, one to stop.
+ */
+function scheduleSleepAlarms() {
+  sleepTimer.fadeStartsAt = Math.max(sleepTimer.endsAt - SLEEP_FADE_SECONDS * 1000, Date.now());
+  browser.alarms.create(SLEEP_ALARM, { when: sleepTimer.endsAt });
+  browser.alarms.create(SLEEP_FADE_ALARM, { when: sleepTimer.fadeStartsAt });
+}
+
+/**
+ * Adds time to the running sleep timer. If it was already fading, the volume comes back up.
+ * @param {number} minutes - How much longer to play.
+ */
+async function extendSleepTimer(minutes) {
+  if (sleepTimer?.mode !== 'time') {
+    return;
+  }
+  await stopSleepFade(true);
+  sleepTimer.endsAt = Math.max(sleepTimer.endsAt, Date.now()) + minutes * 60 * 1000;
+  scheduleSleepAlarms();
+}
+
+/**
+ * Stops the sleep timer without pausing anything, restoring volumes if it was fading.
+ */
+async function cancelSleepTimer() {
+  sleepTimer = null;
+  await browser.alarms.clear(SLEEP_ALARM);
+  await browser.alarms.clear(SLEEP_FADE_ALARM);
+  await stopSleepFade(true);
+}
+
+/**
+ * Cancels an end-of-track sleep timer waiting on a tab that was closed or navigated away, since
+ * the track it was waiting for will never end.
+ * @param {number} tabId - The tab that went away.
+ */
+function cancelSleepTimerForTab(tabId) {
+  if (sleepTimer?.mode === 'endOfTrack' && sleepTimer.tabId === tabId) {
+    cancelSleepTimer().then(() => broadcastToPopups({ type: 'sleepTimer', sleepTimer: null }));
+  }
+}
 
 /**
- * Loads the saved volume settings from browser storage into memory.
+ * Starts lowering the volume of everything that's playing, step by step with the content
+ * script's `volume` command, so it reaches silence when the timer ends.
  */
-async function loadVolumesFromStorage() {
+function startSleepFade() {
+  if (sleepFade || !sleepTimer) {
+    return;
+  }
+  const media = [];
+  for (const [tabId, entry] of stateStore) {
+    for (const info of getTabMedia(entry)) {
+      if (info.playing) {
+        media.push({ tabId, frameId: info.frameId, id: info.id, volume: info.volume });
+      }
+    }
+  }
+  const duration = Math.max(sleepTimer.endsAt - Date.now(), SLEEP_FADE_STEP_MS);
+  sleepFade = { media, startedAt: Date.now(), duration, intervalId: null };
+  sleepFade.intervalId = setInterval(() => {
+    const remaining = Math.max(1 - (Date.now() - sleepFade.startedAt) / sleepFade.duration, 0);
+    sendSleepVolumes(sleepFade.media, item => item.volume * remaining);
+  }, SLEEP_FADE_STEP_MS);
+}
+
+/**
+ * Sends a volume to every media element a fade is handling.
+ * @param {Array<Object>} media - The fade's { tabId, frameId, id, volume } list.
+ * @param {function(Object): number} volumeFor - The volume for each of them.
+ */
+function sendSleepVolumes(media, volumeFor) {
+  for (const item of media) {
+    browser.tabs.sendMessage(item.tabId, { cmd: 'volume', id: item.id, volume: volumeFor(item) }, { frameId: item.frameId }).catch(() => {});
+  }
+}
+
+/**
+ * Stops a running fade.
+ * @param {boolean} restore - Put the volumes back to what they were before the fade.
+ */
+async function stopSleepFade(restore) {
+  if (!sleepFade) {
+    return;
+  }
+  clearInterval(sleepFade.intervalId);
+  if (restore) {
+    sendSleepVolumes(sleepFade.media, item => item.volume);
+  }
+  sleepFade = null;
+}
+
+/**
+ * The sleep timer is up: pause media in every tab, then restore the volumes the fade lowered
+ * so the next time something plays it isn't silent.
+ */
+async function fireSleepTimer() {
+  const fade = sleepFade;
+  if (fade) {
+    clearInterval(fade.intervalId);
+  }
+  sleepTimer = null;
+  sleepFade = null;
+  await broadcastToTabs({ cmd: 'pauseAll' });
+  if (fade) {
+    sendSleepVolumes(fade.media, item => item.volume);
+  }
+  broadcastToPopups({ type: 'sleepTimer', sleepTimer: null });
+}
+
+browser.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SLEEP_FADE_ALARM) {
+    startSleepFade();
+  } else if (alarm.name === SLEEP_ALARM) {
+    fireSleepTimer();
+  }
+});
+
+/**
+ * Strips the fragment from a URL, so in-page navigation doesn't count as leaving the page.
+ * @param {string} url - The URL.
+ * @returns {string}
+ */
+function stripHash(url) {
+  return url.split('#')[0];
+}
+
+/**
+ * Sends the queue to every open popup.
+ */
+function broadcastQueue() {
+  broadcastToPopups({ type: 'queue', queue: playQueue });
+}
+
+/**
+ * Adds a media element to the end of the play queue. If the queue was empty and nothing is
+ * playing, it starts straight away, since there's no track ending to advance it.
+ * @param {Object} request - { tabId, frameId, mediaId, index, title } from the popup.
+ */
+async function addToQueue({ tabId, frameId, mediaId, index, title }) {
+  const tab = await browser.tabs.get(tabId);
+  if (playQueue.some(item => item.tabId === tabId && item.frameId === frameId && item.mediaId === mediaId)) {
+    return;
+  }
+  const wasEmpty = playQueue.length === 0;
+  playQueue.push({ key: crypto.randomUUID(), tabId, frameId, mediaId, index, url: stripHash(tab.url), title: title || tab.title });
+  if (wasEmpty && ![...mediaTabs.values()].some(state => state.playing)) {
+    await playQueueItem(playQueue[0]);
+  }
+  broadcastQueue();
+}
+
+/**
+ * Finds the queue item for a media element that reported an event.
+ * @returns {number} The item's position in the queue, or -1.
+ */
+function findQueueItem(tabId, frameId, mediaId, index) {
+  return playQueue.findIndex(item => item.tabId === tabId && item.frameId === frameId &&
+    (item.mediaId === mediaId || (item.mediaId === null && item.index === index)));
+}
+
+/**
+ * Called when media ends: if it was queued, it's taken off the queue and the item after it plays.
+ * Items that can't be played any more (tab navigated away, media gone) are dropped on the way.
+ * @param {number} tabId - The tab the media ended in.
+ * @param {number} frameId - The frame it ended in.
+ * @param {number} mediaId - The media's ID in that frame.
+ * @param {number} index - The media's position in that frame.
+ */
+async function advanceQueue(tabId, frameId, mediaId, index) {
+  const position = findQueueItem(tabId, frameId, mediaId, index);
+  if (position === -1) {
+    return;
+  }
+  playQueue.splice(position, 1);
+  while (position < playQueue.length && !(await playQueueItem(playQueue[position]))) {
+    playQueue.splice(position, 1);
+  }
+  broadcastQueue();
+}
+
+/**
+ * Starts playing a queue item, switching to its tab if the browser won't autoplay in the background.
+ * @param {Object} item - The queue item.
+ * @returns {Promise<boolean>} Whether it's playing.
+ */
+async function playQueueItem(item) {
   try {
-    const data = await browser.storage.local.get('siteVolumes');
-    if (data.siteVolumes) {
-      // Convert the stored plain object back into a Map
-      siteVolumes = new Map(Object.entries(data.siteVolumes));
-      console.log('Media Controller: Volumes loaded from storage.', siteVolumes);
+    const tab = await browser.tabs.get(item.tabId);
+    if (stripHash(tab.url) !== item.url) {
+      return false;
+    }
+    const message = { cmd: 'playQueued', id: item.mediaId, index: item.index };
+    let result = await browser.tabs.sendMessage(item.tabId, message, { frameId: item.frameId });
+    if (!result?.ok && result?.blocked) {
+      await browser.tabs.update(item.tabId, { active: true });
+      await browser.windows.update(tab.windowId, { focused: true });
+      result = await browser.tabs.sendMessage(item.tabId, message, { frameId: item.frameId });
+    }
+    if (result?.ok) {
+      item.mediaId = result.id;
+      return true;
     }
   } catch (e) {
-    console.error('Media Controller: Error loading volumes from storage.', e);
+    // Tab closed, or its content script isn't there (e.g. still loading)
   }
+  return false;
 }
 
+// Keyboard shortcuts declared under "commands" in manifest.json.
+browser.commands.onCommand.addListener(async (command) => {
+  try {
+    const tabId = getLastActiveMediaTab();
+    switch (command) {
+      case 'toggle-play-pause':
+        if (tabId !== null) {
+          await browser.tabs.sendMessage(tabId, { cmd: 'togglePlayback' }, { frameId: mediaTabs.get(tabId)?.frameId ?? 0 });
+        }
+        break;
+      case 'mute-all-tabs':
+        await toggleMuteAllTabs();
+        break;
+      case 'pause-all':
+        await broadcastToTabs({ cmd: 'pauseAll' });
+        break;
+      case 'seek-forward':
+      case 'seek-backward':
+        if (tabId !== null) {
+          const seconds = command === 'seek-forward' ? SEEK_STEP_SECONDS : -SEEK_STEP_SECONDS;
+          await browser.tabs.sendMessage(tabId, { cmd: 'seekBy', seconds }, { frameId: mediaTabs.get(tabId)?.frameId ?? 0 });
+        }
+        break;
+      case 'volume-up':
+        await stepSiteVolume(VOLUME_STEP);
+        break;
+      case 'volume-down':
+        await stepSiteVolume(-VOLUME_STEP);
+        break;
+    }
+  } catch (e) {
+    console.error(`Media Controller: Error running shortcut "${command}".`, e);
+  }
+});
+
+// Context menu on <video> and <audio> elements. The clicked element is resolved by the content
+// script of the frame it's in, then the same commands the popup uses are sent for it.
+const MENU_PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 2];
+
+browser.menus.removeAll().then(() => {
+  browser.menus.create({ id: 'lock-volume', title: "Lock this site's volume at current level", contexts: ['video', 'audio'] });
+  browser.menus.create({ id: 'speed', title: 'Playback speed', contexts: ['video', 'audio'] });
+  for (const rate of MENU_PLAYBACK_RATES) {
+    browser.menus.create({ id: `speed-${rate}`, parentId: 'speed', title: `${rate}x`, contexts: ['video', 'audio'] });
+  }
+  browser.menus.create({ id: 'pip', title: 'Picture-in-Picture', contexts: ['video'] });
+  browser.menus.create({ id: 'loop', title: 'Loop', contexts: ['video', 'audio'] });
+  browser.menus.create({ id: 'snapshot', title: 'Take snapshot', contexts: ['video'] });
+});
+
+browser.menus.onClicked.addListener(async (info, tab) => {
+  try {
+    const frameId = info.frameId ?? 0;
+    const hostname = new URL(tab.url).hostname;
+    const sendToFrame = (message) => browser.tabs.sendMessage(tab.id, message, { frameId });
+    const target = await sendToFrame({ cmd: 'menuTarget', targetElementId: info.targetElementId });
+    if (!target?.ok) {
+      throw new Error(target?.error ?? 'No media element was clicked.');
+    }
+
+    let result = { ok: true };
+    if (info.menuItemId === 'lock-volume') {
+      // While the sleep timer fades, the element's volume is the faded one; lock the one it had before
+      const faded = sleepFade?.media.find(item => item.tabId === tab.id && item.frameId === frameId && item.id === target.id);
+      await lockSiteVolume(hostname, (faded ? faded.volume : target.volume) * target.boost);
+    } else if (info.menuItemId.startsWith('speed-')) {
+      const rate = Number(info.menuItemId.slice('speed-'.length));
+      result = await sendToFrame({ cmd: 'playbackRate', id: target.id, rate });
+      // Remembered for the site, like a speed picked in the popup
+      setSiteSetting(hostname, 'playbackRate', rate);
+      saveRulesToStorage();
+      markSiteChanged(hostname);
+    } else if (info.menuItemId === 'pip') {
+      result = await sendToFrame({ cmd: 'pip', id: target.id });
+    } else if (info.menuItemId === 'loop') {
+      result = await sendToFrame({ cmd: 'loop', id: target.id, loop: !target.loop });
+    } else if (info.menuItemId === 'snapshot') {
+      result = await saveSnapshot(tab, frameId, target.id);
+    }
+    if (!result?.ok) {
+      throw new Error(result?.error);
+    }
+  } catch (e) {
+    console.error(`Media Controller: Error running menu item "${info.menuItemId}".`, e);
+    // Show it in the page's top frame, where the user is looking
+    browser.tabs.sendMessage(tab.id, { cmd: 'showError', message: e.message || 'That action failed.' }, { frameId: 0 }).catch(() => {});
+  }
+});
+
 /**
- * Saves the current volume settings from memory to browser storage.
+ * Captures a video's current frame and downloads it as a PNG named after the site, the title
+ * and the time it was taken.
+ * @param {Object} tab - The tab the video is in.
+ * @param {number} frameId - The frame the video is in.
+ * @param {number} id - The video's media ID.
+ * @returns {Promise<{ok: boolean, error?: string}>}
  */
-async function saveVolumesToStorage() {
+async function saveSnapshot(tab, frameId, id) {
+  const result = await browser.tabs.sendMessage(tab.id, { cmd: 'snapshot', id }, { frameId });
+  if (!result?.ok) {
+    return result ?? { ok: false, error: 'The page did not respond.' };
+  }
+  // downloads.download() doesn't take data: URLs, so hand it a blob of our own
+  const blob = await (await fetch(result.dataUrl)).blob();
+  const url = URL.createObjectURL(blob);
   try {
-    // Convert the Map to a plain object for JSON serialization
-    await browser.storage.local.set({ siteVolumes: Object.fromEntries(siteVolumes) });
-  } catch (e) {
-    console.error('Media Controller: Error saving volumes to storage.', e);
+    await browser.downloads.download({ url, filename: getSnapshotFilename(tab, result.title) });
+  } finally {
+    // The download has only started once download() resolves, so keep the blob around for a while
+    setTimeout(() => URL.revokeObjectURL(url), SNAPSHOT_URL_LIFETIME_MS);
+  }
+  return { ok: true };
+}
+
+/**
+ * Builds a snapshot's file name, e.g. "youtube.com - Some video - 2024-05-01 21.30.05.png".
+ * @param {Object} tab - The tab the video is in.
+ * @param {string} title - The video's title, if it has one.
+ * @returns {string}
+ */
+function getSnapshotFilename(tab, title) {
+  const site = new URL(tab.url).hostname.replace(/^www\./, '');
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  const timestamp = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())} ` +
+    `${pad(now.getHours())}.${pad(now.getMinutes())}.${pad(now.getSeconds())}`;
+  const name = [site, (title || tab.title || '').slice(0, 100), timestamp].filter(Boolean).join(' - ');
+  // Characters that aren't allowed in file names on some platforms
+  return `${name.replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '_').trim()}.png`;
+}
+
+/**
+ * Sends a message to every open popup.
+ * @param {Object} message - The message to post.
+ */
+function broadcastToPopups(message) {
+  for (const port of popupPorts) {
+    port.postMessage(message);
+  }
+}
+
+/**
+ * Tells every content script whether a popup is watching, so they only send
+ * frequent progress updates and redraw thumbnails while someone can see them.
+ */
+function notifyContentWatchers() {
+  const active = popupPorts.size > 0;
+  for (const port of contentPorts.values()) {
+    port.postMessage({ type: 'watch', active });
+  }
+}
+
+/**
+ * Flattens a tab's per-frame media into one list, tagging each item with its frameId
+ * so the popup can send commands to the right frame.
+ * @param {{frames: Map<number, Array>}} entry - The tab's state store entry.
+ * @returns {Array} The tab's media info objects.
+ */
+function getTabMedia(entry) {
+  return [...entry.frames.entries()].flatMap(([frameId, media]) => media.map(info => ({ ...info, frameId })));
+}
+
+/**
+ * Sends a tab's current state to every open popup.
+ * @param {number} tabId - The tab that changed.
+ */
+function broadcastTabState(tabId) {
+  const entry = stateStore.get(tabId);
+  if (entry) {
+    broadcastToPopups({ type: 'tabState', tab: entry.tab, media: getTabMedia(entry) });
+  } else {
+    broadcastToPopups({ type: 'tabRemoved', tabId });
+  }
+}
+
+/**
+ * Handles the long-lived port a content script opens to push its frame's media state.
+ * Every frame of a tab (including iframes) has its own content script and port.
+ * @param {Object} port - The runtime port.
+ */
+function handleContentPort(port) {
+  const tabId = port.sender.tab.id;
+  const frameId = port.sender.frameId ?? 0;
+  const portKey = `${tabId}:${frameId}`;
+  contentPorts.set(portKey, port);
+  if (popupPorts.size > 0) {
+    port.postMessage({ type: 'watch', active: true });
+  }
+
+  port.onMessage.addListener((message) => {
+    if (message.type === 'state') {
+      if (!stateStore.has(tabId)) {
+        stateStore.set(tabId, { tab: port.sender.tab, frames: new Map() });
+      }
+      // The tab info is kept fresh by tabs.onUpdated, so only the frame's media is replaced here
+      stateStore.get(tabId).frames.set(frameId, message.media);
+      broadcastTabState(tabId);
+    }
+  });
+
+  port.onDisconnect.addListener(() => {
+    // A reload opens a new port before the old one is cleaned up, so only drop our own entry
+    if (contentPorts.get(portKey) !== port) {
+      return;
+    }
+    contentPorts.delete(portKey);
+    forgetMediaFrame(tabId, frameId);
+    const entry = stateStore.get(tabId);
+    if (entry) {
+      entry.frames.delete(frameId);
+      if (entry.frames.size === 0) {
+        stateStore.delete(tabId);
+      }
+    }
+    broadcastTabState(tabId);
+  });
+}
+
+/**
+ * Handles a popup subscribing to state changes: it gets the whole store at once,
+ * then a message for every tab that changes.
+ * @param {Object} port - The runtime port.
+ */
+function handlePopupPort(port) {
+  popupPorts.add(port);
+  port.postMessage({ type: 'snapshot', tabs: [...stateStore.values()].map(entry => ({ tab: entry.tab, media: getTabMedia(entry) })), queue: playQueue });
+  notifyContentWatchers();
+
+  port.onDisconnect.addListener(() => {
+    popupPorts.delete(port);
+    notifyContentWatchers();
+  });
+}
+
+browser.runtime.onConnect.addListener((port) => {
+  if (port.name === 'media-state' && port.sender.tab) {
+    handleContentPort(port);
+  } else if (port.name === 'popup') {
+    handlePopupPort(port);
+  }
+});
+
+// Keep tab details (title, icon, muted state) in the store current without waiting for a media event.
+browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if ('audible' in changeInfo) {
+    if (changeInfo.audible) {
+      audibleTabs.add(tabId);
+    } else {
+      audibleTabs.delete(tabId);
+    }
+    scheduleToolbarUpdate();
+  }
+  if (changeInfo.status === 'loading') {
+    cancelSleepTimerForTab(tabId);
+  }
+  if (changeInfo.status === 'loading' && mediaTabs.get(tabId)?.playing) {
+    // The page is going away without a chance to report its media paused
+    mediaTabs.get(tabId).frames.clear();
+    mediaTabs.get(tabId).playing = false;
+    scheduleToolbarUpdate();
+  }
+  if (('mutedInfo' in changeInfo || 'title' in changeInfo) && (audibleTabs.has(tabId) || mediaTabs.get(tabId)?.playing)) {
+    scheduleToolbarUpdate();
   }
+  if (changeInfo.status === 'loading' && playQueue.some(item => item.tabId === tabId)) {
+    // Reloaded: queued media gets new IDs, so find it by position again. Navigated away: drop it.
+    playQueue = playQueue.filter(item => item.tabId !== tabId || item.url === stripHash(tab.url));
+    playQueue.forEach(item => {
+      if (item.tabId === tabId) {
+        item.mediaId = null;
+      }
+    });
+    broadcastQueue();
+  }
+  if (!stateStore.has(tabId)) {
+    return;
+  }
+  if ('mutedInfo' in changeInfo || 'title' in changeInfo || 'favIconUrl' in changeInfo || 'url' in changeInfo || 'audible' in changeInfo) {
+    stateStore.get(tabId).tab = tab;
+    broadcastTabState(tabId);
+  }
+});
+
+browser.tabs.onRemoved.addListener((tabId) => {
+  if (playQueue.some(item => item.tabId === tabId)) {
+    playQueue = playQueue.filter(item => item.tabId !== tabId);
+    broadcastQueue();
+  }
+  cancelSleepTimerForTab(tabId);
+  mediaTabs.delete(tabId);
+  audibleTabs.delete(tabId);
+  scheduleToolbarUpdate();
+  restoreTabsInterruptedBy(tabId);
+  for (const entry of interruptedByTab.values()) {
+    entry.tabs.delete(tabId);
+  }
+  if (lastActiveMediaTabId === tabId) {
+    lastActiveMediaTabId = null;
+  }
+});
+
+
+/**
+ * Works out which site a settings request is for. Content scripts in cross-origin iframes can't
+ * read the tab's address, so they leave the hostname out and we use the tab's URL.
+ * @param {Object} request - The message.
+ * @param {Object} sender - The message sender.
+ * @returns {string|undefined} The hostname.
+ */
+function getRequestHostname(request, sender) {
+  if (request.hostname) {
+    return request.hostname;
+  }
+  return sender.tab?.url ? new URL(sender.tab.url).hostname : undefined;
+}
+
+/**
+ * Removes everything saved for the given sites: their exact-hostname rule, boost, normalization and EQ.
+ * @param {string[]} hostnames - The sites (or rule patterns) to forget.
+ */
+function deleteSiteSettings(hostnames) {
+  const targets = new Set(hostnames);
+  siteRules = siteRules.filter(rule => !targets.has(rule.pattern));
+  for (const hostname of targets) {
+    siteBoosts.delete(hostname);
+    siteNormalize.delete(hostname);
+    siteEqualizers.delete(hostname);
+    markSiteChanged(hostname);
+  }
+  saveRulesToStorage();
+  saveBoostsToStorage();
+  saveNormalizeToStorage();
+  saveEqualizersToStorage();
+}
+
+/**
+ * Collects every saved setting into the versioned object the options page exports as JSON.
+ * @returns {Object}
+ */
+function exportSettings() {
+  return {
+    version: SETTINGS_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    siteRules,
+    siteBoosts: Object.fromEntries(siteBoosts),
+    siteNormalize: Object.fromEntries(siteNormalize),
+    siteEqualizers: Object.fromEntries(siteEqualizers),
+    eqPresets: Object.fromEntries(eqPresets),
+    playbackSettings
+  };
+}
+
+/**
+ * Checks a list of EQ bands from an import.
+ * @param {*} bands - The value to check.
+ * @returns {boolean}
+ */
+function isValidEqBands(bands) {
+  return Array.isArray(bands) && bands.length > 0 && bands.every(band =>
+    Number.isFinite(band?.frequency) && band.frequency > 0 && Number.isFinite(band.gain) && Math.abs(band.gain) <= 40);
 }
 
-// Load volumes when the background script starts up.
-loadVolumesFromStorage();
+/**
+ * Imports settings exported by the options page. Entries are checked one by one: valid ones are
+ * merged in (replacing what's saved for the same site), invalid ones are skipped and reported.
+ * @param {Object} data - The parsed JSON file.
+ * @returns {{ok: boolean, imported: number, errors: string[]}}
+ */
+function importSettings(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { ok: false, imported: 0, errors: ['The file is not a settings export.'] };
+  }
+  if (data.version !== SETTINGS_EXPORT_VERSION) {
+    return { ok: false, imported: 0, errors: [`Unsupported settings version: ${data.version}. Expected ${SETTINGS_EXPORT_VERSION}.`] };
+  }
+
+  const errors = [];
+  let imported = 0;
+  const entries = (value) => (value && typeof value === 'object' && !Array.isArray(value) ? Object.entries(value) : []);
 
+  for (const [index, rawRule] of (Array.isArray(data.siteRules) ? data.siteRules : []).entries()) {
+    try {
+      const rule = normalizeRule(rawRule);
+      // Patterns are unique: an imported rule replaces the saved rule for the same pattern
+      siteRules = siteRules.filter(r => r.id !== rule.id && r.pattern !== rule.pattern);
+      siteRules.push(rule);
+      markSiteChanged(rule.pattern);
+      imported++;
+    } catch (e) {
+      errors.push(`Site rule #${index + 1}: ${e.message}`);
+    }
+  }
+  for (const [hostname, gain] of entries(data.siteBoosts)) {
+    if (parseRulePattern(hostname) && Number.isFinite(gain) && gain >= 1 && gain <= MAX_SITE_VOLUME) {
+      siteBoosts.set(hostname, gain);
+      markSiteChanged(hostname);
+      imported++;
+    } else {
+      errors.push(`Volume boost for "${hostname}": must be a number between 1 and ${MAX_SITE_VOLUME}.`);
+    }
+  }
+  for (const [hostname, preset] of entries(data.siteNormalize)) {
+    if (parseRulePattern(hostname) && NORMALIZE_PRESET_NAMES.includes(preset)) {
+      siteNormalize.set(hostname, preset);
+      markSiteChanged(hostname);
+      imported++;
+    } else {
+      errors.push(`Normalization for "${hostname}": unknown preset "${preset}".`);
+    }
+  }
+  for (const [hostname, equalizer] of entries(data.siteEqualizers)) {
+    if (parseRulePattern(hostname) && isValidEqBands(equalizer?.bands)) {
+      siteEqualizers.set(hostname, { preset: String(equalizer.preset || 'custom'), bands: equalizer.bands });
+      markSiteChanged(hostname);
+      imported++;
+    } else {
+      errors.push(`Equalizer for "${hostname}": invalid bands.`);
+    }
+  }
+  for (const [name, bands] of entries(data.eqPresets)) {
+    if (isValidEqBands(bands)) {
+      eqPresets.set(name, bands);
+      markChanged(`preset:${name}`);
+      imported++;
+    } else {
+      errors.push(`EQ preset "${name}": invalid bands.`);
+    }
+  }
+  if (data.playbackSettings !== undefined) {
+    const settings = data.playbackSettings;
+    if (settings && EXCLUSIVE_MODES.includes(settings.exclusiveMode) &&
+        Number.isFinite(settings.duckLevel) && settings.duckLevel >= 0 && settings.duckLevel <= 1 &&
+        Array.isArray(settings.excludedSites) && settings.excludedSites.every(site => typeof site === 'string')) {
+      playbackSettings = {
+        ...playbackSettings,
+        exclusiveMode: settings.exclusiveMode,
+        resumeOthers: Boolean(settings.resumeOthers),
+        duckLevel: settings.duckLevel,
+        excludedSites: settings.excludedSites
+      };
+      // Exports from before resuming existed don't have these
+      if (RESUME_MODES.includes(settings.resumeMode)) {
+        playbackSettings.resumeMode = settings.resumeMode;
+      }
+      if (Number.isFinite(settings.resumeMinMinutes) && settings.resumeMinMinutes >= 0) {
+        playbackSettings.resumeMinMinutes = settings.resumeMinMinutes;
+      }
+      markChanged('playbackSettings');
+      imported++;
+    } else {
+      errors.push('Playback settings: invalid values.');
+    }
+  }
+
+  saveRulesToStorage();
+  saveBoostsToStorage();
+  saveNormalizeToStorage();
+  saveEqualizersToStorage();
+  savePlaybackSettingsToStorage();
+  return { ok: true, imported, errors };
+}
+
+/**
+ * Works out which page a settings request is for. Like getRequestHostname, content scripts in
+ * cross-origin iframes leave the URL out and we use the tab's URL.
+ * @param {Object} request - The message.
+ * @param {Object} sender - The message sender.
+ * @returns {string|undefined} The URL.
+ */
+function getRequestUrl(request, sender) {
+  return request.url || sender.tab?.url;
+}
 
 // Listen for messages from other parts of the extension (popup and content scripts).
 browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
   console.log('Background script received message:', request);
   switch (request.cmd) {
-    // Called by content script to get the volume for its specific site
-    case 'getVolume':
-      sendResponse(siteVolumes.get(request.hostname));
+    // Called by content scripts whenever media in their tab starts, pauses or ends
+    case 'mediaActivity':
+      if (sender.tab) {
+        recordMediaActivity(sender.tab, sender.frameId, request.event, request.playing, request.audible);
+        if (request.event === 'ended') {
+          advanceQueue(sender.tab.id, sender.frameId, request.id, request.index);
+        }
+      }
+      break;
+
+    // Called by the popup to show the global playback behaviour settings
+    case 'getPlaybackSettings':
+      sendResponse(playbackSettings);
+      break;
+
+    // Called by the popup with the settings that changed
+    case 'setPlaybackSettings':
+      playbackSettings = { ...playbackSettings, ...request.settings };
+      if (playbackSettings.exclusiveMode === 'off') {
+        // Don't leave anything ducked when the mode is switched off
+        for (const tabId of [...interruptedByTab.keys()]) {
+          restoreTabsInterruptedBy(tabId);
+        }
+      }
+      savePlaybackSettingsToStorage();
+      markChanged('playbackSettings');
+      break;
+
+    // Called by the popup to know which volume the rules lock a tab's page at; unlike resolveSiteSettings
+    // it doesn't count as the page using the rules
+    case 'getResolvedSiteSettings':
+      sendResponse(resolveSiteSettings(request.url));
+      break;
+
+    // Called by content script to get the settings (volume, muted, rate, autoplay) of every rule matching its page
+    case 'resolveSiteSettings':
+      sendResponse(resolveSiteSettings(getRequestUrl(request, sender)));
+      noteSitesUsed(getMatchingPatterns(getRequestUrl(request, sender)));
       break;
 
     // Called by the popup to get all stored volumes to display in the UI
     case 'getAllVolumes':
-      // Convert Map to a plain object to send it over the message bridge
-      sendResponse(Object.fromEntries(siteVolumes));
+      sendResponse(getAllSiteSettings('volume'));
       break;
     
     // Called by the popup when a user changes a volume slider
     case 'setVolume':
-      siteVolumes.set(request.hostname, request.volume);
+      setSiteSetting(request.hostname, 'volume', request.volume);
       // Persist the change immediately.
-      saveVolumesToStorage();
+      saveRulesToStorage();
+      markSiteChanged(request.hostname);
       // No response needed, this is a one-way command.
       break;
+
+    // Called by the popup to show the remembered rate for each site
+    case 'getAllRates':
+      sendResponse(getAllSiteSettings('playbackRate'));
+      break;
+
+    // Called by the popup when a user picks a playback speed
+    case 'setRate':
+      setSiteSetting(request.hostname, 'playbackRate', request.rate);
+      saveRulesToStorage();
+      markSiteChanged(request.hostname);
+      break;
+
+    // Called to list every site rule
+    case 'getSiteRules':
+      sendResponse(siteRules);
+      break;
+
+    // Called to add a rule, or replace the rule with the same id
+    case 'saveSiteRule':
+      try {
+        const rule = normalizeRule(request.rule);
+        // Patterns are unique, so a new rule for an existing pattern replaces it
+        const index = siteRules.findIndex(r => r.id === rule.id || r.pattern === rule.pattern);
+        if (index === -1) {
+          siteRules.push(rule);
+        } else {
+          markSiteChanged(siteRules[index].pattern);
+          siteRules[index] = rule;
+        }
+        saveRulesToStorage();
+        markSiteChanged(rule.pattern);
+        sendResponse({ ok: true, rule });
+      } catch (e) {
+        sendResponse({ ok: false, error: e.message });
+      }
+      break;
+
+    // Called to remove a site rule
+    case 'deleteSiteRule':
+      siteRules.filter(rule => rule.id === request.id).forEach(rule => markSiteChanged(rule.pattern));
+      siteRules = siteRules.filter(rule => rule.id !== request.id);
+      saveRulesToStorage();
+      break;
+
+    // Called by the options page to forget everything saved for one or more sites
+    case 'deleteVolume':
+      deleteSiteSettings(request.hostnames || [request.hostname]);
+      break;
+
+    // Called by the options page to download all settings as a JSON file
+    case 'exportSettings':
+      sendResponse(exportSettings());
+      break;
+
+    // Called by the options page with the parsed contents of an exported JSON file
+    case 'importSettings':
+      sendResponse(importSettings(request.data));
+      break;
+
+    // Called by the popup's "add to queue" button on a media card
+    case 'addToQueue':
+      addToQueue(request).then(() => sendResponse({ ok: true }), e => sendResponse({ ok: false, error: e.message }));
+      break;
+
+    // Called by the popup to take one item off the queue
+    case 'removeFromQueue':
+      playQueue = playQueue.filter(item => item.key !== request.key);
+      broadcastQueue();
+      break;
+
+    // Called by the popup to empty the queue
+    case 'clearQueue':
+      playQueue = [];
+      broadcastQueue();
+      break;
+
+    // Called by content scripts every few seconds while long media plays
+    case 'savePosition':
+      savePosition(request);
+      break;
+
+    // Called by content scripts when media finishes, so it starts from the beginning next time
+    case 'clearPosition':
+      if (savedPositions.delete(getPositionKey(request.url, request.elementKey))) {
+        scheduleSavePositions();
+      }
+      break;
+
+    // Called by content scripts when long media loads, to offer resuming it
+    case 'getPosition':
+      sendResponse({
+        position: savedPositions.get(getPositionKey(request.url, request.elementKey)) ?? null,
+        resumeMode: playbackSettings.resumeMode
+      });
+      break;
+
+    // Called by the options page to list saved positions, newest first
+    case 'getAllPositions':
+      sendResponse([...savedPositions.entries()].map(([key, position]) => ({ key, ...position })).reverse());
+      break;
+
+    // Called by the options page to forget some saved positions
+    case 'deletePositions':
+      request.keys.forEach(key => savedPositions.delete(key));
+      scheduleSavePositions();
+      break;
+
+    // Called by the popup's snapshot button with { tabId, frameId, id }
+    case 'takeSnapshot':
+      browser.tabs.get(request.tabId)
+        .then(tab => saveSnapshot(tab, request.frameId, request.id))
+        .then(sendResponse)
+        .catch(e => sendResponse({ ok: false, error: e.message }));
+      break;
+
+    // Called by the popup to show the sleep timer countdown
+    case 'getSleepTimer':
+      sendResponse(sleepTimer);
+      break;
+
+    // Called by the popup with { minutes } or { endOfTrack: true }
+    case 'startSleepTimer':
+      startSleepTimer(request)
+        .then(() => sendResponse({ ok: true, sleepTimer }))
+        .catch(e => sendResponse({ ok: false, error: e.message }));
+      break;
+
+    // Called by the popup's "+N min" button
+    case 'extendSleepTimer':
+      extendSleepTimer(request.minutes).then(() => sendResponse({ ok: true, sleepTimer }));
+      break;
+
+    // Called by the popup's cancel button
+    case 'cancelSleepTimer':
+      cancelSleepTimer().then(() => sendResponse({ ok: true, sleepTimer }));
+      break;
+
+    // Called by the options page to show whether sync is on and how the last sync went
+    case 'getSyncStatus':
+      sendResponse({ enabled: syncEnabled, ...syncStatus });
+      break;
+
+    // Called by the options page when the sync toggle changes; responds once the first sync is done
+    case 'setSyncEnabled':
+      setSyncEnabled(Boolean(request.enabled)).then(() => sendResponse({ enabled: syncEnabled, ...syncStatus }));
+      break;
+
+    // Called by content script to get the Web Audio gain for its site (1 means no boost)
+    case 'getBoost':
+      sendResponse(siteBoosts.get(getRequestHostname(request, sender)));
+      break;
+
+    // Called by the popup to show boosted volumes above 100%
+    case 'getAllBoosts':
+      sendResponse(Object.fromEntries(siteBoosts));
+      break;
+
+    // Called by the popup when the site slider moves above or back below 100%
+    case 'setBoost':
+      siteBoosts.set(request.hostname, request.gain);
+      saveBoostsToStorage();
+      markSiteChanged(request.hostname);
+      break;
+
+    // Called by content script to get the normalize preset for its site (undefined means off)
+    case 'getNormalize':
+      sendResponse(siteNormalize.get(getRequestHostname(request, sender)));
+      break;
+
+    // Called by the popup to show which sites have normalization enabled
+    case 'getAllNormalize':
+      sendResponse(Object.fromEntries(siteNormalize));
+      break;
+
+    // Called by the popup when the normalize toggle or preset changes; a null preset turns it off
+    case 'setNormalize':
+      if (request.preset) {
+        siteNormalize.set(request.hostname, request.preset);
+      } else {
+        siteNormalize.delete(request.hostname);
+      }
+      saveNormalizeToStorage();
+      markSiteChanged(request.hostname);
+      break;
+
+    // Called by content script to get the equalizer for its site (undefined means off)
+    case 'getEqualizer':
+      sendResponse(siteEqualizers.get(getRequestHostname(request, sender)));
+      break;
+
+    // Called by the popup to show each site's equalizer
+    case 'getAllEqualizers':
+      sendResponse(Object.fromEntries(siteEqualizers));
+      break;
+
+    // Called by the popup when the EQ changes; a null equalizer turns it off
+    case 'setEqualizer':
+      if (request.equalizer) {
+        siteEqualizers.set(request.hostname, request.equalizer);
+      } else {
+        siteEqualizers.delete(request.hostname);
+      }
+      saveEqualizersToStorage();
+      markSiteChanged(request.hostname);
+      break;
+
+    // Called by the popup to list the user's saved EQ presets
+    case 'getEqPresets':
+      sendResponse(Object.fromEntries(eqPresets));
+      break;
+
+    // Called by the popup when the user saves the current bands under a name
+    case 'saveEqPreset':
+      eqPresets.set(request.name, request.bands);
+      saveEqualizersToStorage();
+      markChanged(`preset:${request.name}`);
+      break;
+
+    // Called by the popup to remove a saved EQ preset
+    case 'deleteEqPreset':
+      eqPresets.delete(request.name);
+      saveEqualizersToStorage();
+      markChanged(`preset:${request.name}`);
+      break;
   }
   
   // Return true to indicate that we will respond asynchronously (for getVolume/getAllVolumes).
@@ -1,11 +1,108 @@
 /*global browser */
 
-const mediaElements = new Map();
+// Per-site settings belong to the site in the tab's address bar. A cross-origin iframe can't read
+// that itself, so it leaves the hostname out and the background script uses the tab's URL instead.
+const SITE_HOSTNAME = window === window.top ? window.location.hostname : undefined;
+
+// --- DISCOVERY ---
+// Besides the light DOM, media can live in open shadow roots (web component players) or be
+// detached `new Audio()` objects that attach.js hands over from the page's context.
+const shadowRoots = new Set(); // WeakRef<ShadowRoot> for every open shadow root we've found
+const knownShadowRoots = new WeakSet();
+const detachedMedia = new Set(); // WeakRef<HTMLMediaElement> for media that isn't in the DOM
+const detachedMediaLookup = new WeakSet();
+const REGISTER_MEDIA_EVENT = "media-controller:register-media";
+const REGISTER_SHADOW_EVENT = "media-controller:register-shadow-root";
+const READY_EVENT = "media-controller:ready";
+const SESSION_ACTIONS_EVENT = "media-controller:session-actions";
+const SESSION_ACTION_EVENT = "media-controller:session-action";
+let sessionActions = []; // Media Session actions the page has registered handlers for, reported by mediasession.js
+const MEDIA_EVENTS = ['play', 'pause', 'volumechange', 'timeupdate', 'ended', 'emptied', 'loadedmetadata', 'ratechange', 'durationchange'];
+
+// --- MEDIA REGISTRY ---
+// Each media element gets an ID when we first see it and keeps it for its whole lifetime,
+// so commands from the popup can't hit a different element if the page adds or removes media.
+const mediaIds = new WeakMap(); // element -> id
+const mediaElements = new Map(); // id -> WeakRef(element)
+let nextMediaId = 1;
+const MEDIA_GONE_ERROR = "This media is no longer on the page.";
+const rateWatchedElements = new WeakSet();
+const extensionRates = new WeakMap(); // element -> rate the user picked from the popup, shortcuts or menu
+const autoplayWatchedElements = new WeakSet();
+const userStartedElements = new WeakSet(); // Media started from the popup or a shortcut, which the autoplay policy lets through
+let pageActivated = false; // Whether the user has clicked or typed in this page yet
+const abLoops = new WeakMap(); // element -> { start, end } A–B loop points in seconds (either may be null)
+const loopedByUs = new WeakSet(); // Elements whose full-track `loop` we turned on, so we can clear it again
+const loopWatchedElements = new WeakSet();
+const loopPositions = new WeakMap(); // element -> currentTime at its last timeupdate, to spot a `loop` wrapping round
+const LOOP_WRAP_MARGIN_SECONDS = 1; // How close to the end a looping track must have been to count as wrapping
+let lastPlayedElement = null; // The media element that most recently started playing, for keyboard shortcuts
+const autoPausedElements = new Set(); // Media we paused because another tab started playing
+
+// --- STATE PUSH ---
+// Instead of the popup polling every tab, we push this tab's media state to the background script
+// over a long-lived port whenever something changes. Frequent updates (timeupdate) and thumbnail
+// redraws only happen while a popup is watching.
+let statePort = null;
+let stateWatched = false;
+let statePushTimer = null;
+let lastStatePushTime = 0;
+const STATE_PUSH_DELAY_MS = 100; // Debounce for bursts of events (e.g. volume fades)
+const TIMEUPDATE_PUSH_INTERVAL_MS = 1000; // At most one timeupdate-driven push per second
+const THUMBNAIL_REFRESH_MS = 3000; // How stale a video thumbnail may get while the popup is open
+const thumbnailCache = new WeakMap(); // element -> { data, time }
+
+// --- RESUME ---
+// Long media reports its position every few seconds so it can be resumed when the page is opened
+// again. Positions are keyed by the page URL and the element's source (or position on the page).
+const positionReportTimes = new WeakMap(); // element -> when its position was last reported
+const resumeWatchedElements = new WeakSet();
+const resumeOffered = new WeakMap(); // element -> the source we already offered to resume, so it's offered once per load
+const POSITION_REPORT_INTERVAL_MS = 10000;
+const RESUME_MIN_POSITION_SECONDS = 30; // Not worth resuming this close to the start...
+const RESUME_END_MARGIN_SECONDS = 30; // ...or this close to the end, which counts as finished
+const RESUME_PROMPT_TIMEOUT_MS = 15000;
+const PAGE_MESSAGE_TIMEOUT_MS = 6000; // How long errors from the context menu stay on the page
+
+// --- DUCKING ---
+// While another tab is in the foreground, our media plays at duckLevel times its normal volume.
+// The normal ("base") volume is kept separately so ducking never leaks into the saved site volume.
+let duckLevel = null; // null when not ducked
+const duckBaseVolumes = new WeakMap(); // element -> volume it should have when not ducked
+const volumeFades = new WeakMap(); // element -> interval id of a running fade
+const VOLUME_FADE_STEP_MS = 30;
+
+// --- WEB AUDIO PIPELINE ---
+// Media elements are only routed through Web Audio when a feature needs it (e.g. boost above 100%),
+// because createMediaElementSource() can't be undone for the lifetime of the element.
+let audioContext = null;
+const audioGraphs = new WeakMap(); // element -> { source, eq, compressor, makeup, gain }
+const boostBlockedElements = new WeakSet(); // Elements we were asked to boost but couldn't route
+const normalizeRequests = new WeakMap(); // element -> normalize preset name requested for it
+const equalizerRequests = new WeakMap(); // element -> EQ bands requested for it
+
+// Dynamics compressor settings for the per-site "normalize" mode, from gentle to aggressive.
+// makeupGain brings the compressed signal back up towards the preset's target loudness.
+const NORMALIZE_PRESETS = {
+    quiet: { threshold: -30, knee: 20, ratio: 4, attack: 0.01, release: 0.3, makeupGain: 1.1 },
+    standard: { threshold: -24, knee: 15, ratio: 8, attack: 0.005, release: 0.25, makeupGain: 1.5 },
+    loud: { threshold: -18, knee: 10, ratio: 12, attack: 0.003, release: 0.2, makeupGain: 2 }
+};
+
+/**
+ * Asks the background script for the settings of the site rules matching this page.
+ * Subframes leave the URL out so the rules for the tab's page apply to them too.
+ * @returns {Promise<{volume?: number, muted?: boolean, playbackRate?: number, autoplay?: string}>}
+ */
+async function getSiteSettings() {
+    const url = window === window.top ? window.location.href : undefined;
+    return (await browser.runtime.sendMessage({ cmd: "resolveSiteSettings", url })) || {};
+}
 
 /**
  * --- NEW ---
  * This function is called for new and existing media elements.
- * It asks the background script for a stored volume and applies it.
+ * It asks the background script for the stored volume (and mute state) and applies it.
  * @param {HTMLMediaElement} element - The <video> or <audio> element.
  */
 async function applyStoredVolume(element) {
@@ -17,23 +114,575 @@ async function applyStoredVolume(element) {
     }
 
     try {
-        const hostname = window.location.hostname;
+        const hostname = SITE_HOSTNAME ?? window.location.hostname;
         // Ask the background script for the stored volume for this website.
-        const storedVolume = await browser.runtime.sendMessage({ cmd: "getVolume", hostname: hostname });
+        const { volume: storedVolume, muted } = await getSiteSettings();
 
         // If a volume is stored (is not null or undefined)
         if (storedVolume !== null && typeof storedVolume !== 'undefined') {
             // Check if the volume is already correct to avoid a flicker or unnecessary event firing.
-            if (element.volume.toFixed(2) !== storedVolume.toFixed(2)) {
+            if (getBaseVolume(element).toFixed(2) !== storedVolume.toFixed(2)) {
                 console.log(`Media Controller: Applying stored volume ${storedVolume} to a media element for ${hostname}`);
-                element.volume = storedVolume;
+                setElementVolume(element, storedVolume);
             }
         }
+        if (typeof muted === 'boolean') {
+            element.muted = muted;
+        }
     } catch (e) {
         console.error("Media Controller: Could not apply stored volume.", e);
     }
 }
 
+/**
+ * Returns the volume an element has (or will have) when it isn't ducked.
+ * @param {HTMLMediaElement} element - The <video> or <audio> element.
+ * @returns {number}
+ */
+function getBaseVolume(element) {
+    return duckLevel !== null && duckBaseVolumes.has(element) ? duckBaseVolumes.get(element) : element.volume;
+}
+
+/**
+ * Sets an element's volume, scaled down if the tab is currently ducked.
+ * @param {HTMLMediaElement} element - The <video> or <audio> element.
+ * @param {number} volume - The normal volume, 0 to 1.
+ */
+function setElementVolume(element, volume) {
+    clearInterval(volumeFades.get(element));
+    volumeFades.delete(element);
+    if (duckLevel !== null) {
+        duckBaseVolumes.set(element, volume);
+        element.volume = volume * duckLevel;
+    } else {
+        element.volume = volume;
+    }
+}
+
+/**
+ * Smoothly changes an element's volume. Timers in background tabs may be throttled,
+ * so each step is based on elapsed time rather than on a step count.
+ * @param {HTMLMediaElement} element - The <video> or <audio> element.
+ * @param {number} target - The final volume, 0 to 1.
+ * @param {number} durationMs - How long the fade should take.
+ */
+function fadeVolume(element, target, durationMs) {
+    clearInterval(volumeFades.get(element));
+    const start = element.volume;
+    const startTime = performance.now();
+    if (durationMs <= 0 || start === target) {
+        element.volume = target;
+        return;
+    }
+    const intervalId = setInterval(() => {
+        const progress = Math.min((performance.now() - startTime) / durationMs, 1);
+        element.volume = start + (target - start) * progress;
+        if (progress >= 1) {
+            clearInterval(intervalId);
+            volumeFades.delete(element);
+        }
+    }, VOLUME_FADE_STEP_MS);
+    volumeFades.set(element, intervalId);
+}
+
+/**
+ * Applies the stored default playback rate for this site to a media element.
+ * Sites often reset the rate to 1x when they load the next item (new reel, SPA navigation),
+ * so we also re-apply it whenever the element loads new media, starts playing at 1x, or has
+ * its rate changed by the page. A rate the user picked through the extension is left alone.
+ * @param {HTMLMediaElement} element - The <video> or <audio> element.
+ */
+async function applyStoredRate(element) {
+    if (!rateWatchedElements.has(element)) {
+        rateWatchedElements.add(element);
+        element.addEventListener('loadedmetadata', () => applyStoredRate(element));
+        element.addEventListener('play', () => {
+            if (element.playbackRate === 1) {
+                applyStoredRate(element);
+            }
+        });
+        element.addEventListener('ratechange', () => {
+            if (extensionRates.get(element) !== element.playbackRate) {
+                applyStoredRate(element);
+            }
+        });
+    }
+
+    if (element.readyState === 0) {
+        return; // The 'loadedmetadata' listener above will apply it once ready.
+    }
+
+    try {
+        const hostname = SITE_HOSTNAME ?? window.location.hostname;
+        const { playbackRate: storedRate } = await getSiteSettings();
+
+        if (storedRate !== null && typeof storedRate !== 'undefined' && element.playbackRate !== storedRate) {
+            console.log(`Media Controller: Applying stored playback rate ${storedRate} to a media element for ${hostname}`);
+            element.defaultPlaybackRate = storedRate;
+            element.playbackRate = storedRate;
+        }
+    } catch (e) {
+        console.error("Media Controller: Could not apply stored playback rate.", e);
+    }
+}
+
+/**
+ * Enforces the site's autoplay policy: with "block", media that starts playing before the user has
+ * interacted with the page is paused. Media started from the popup or a shortcut is let through.
+ * @param {HTMLMediaElement} element - The <video> or <audio> element.
+ */
+async function applyAutoplayPolicy(element) {
+    if (!autoplayWatchedElements.has(element)) {
+        autoplayWatchedElements.add(element);
+        element.addEventListener('play', () => applyAutoplayPolicy(element));
+    }
+
+    if (element.paused || pageActivated || userStartedElements.has(element)) {
+        return;
+    }
+    try {
+        const { autoplay } = await getSiteSettings();
+        if (autoplay === 'block' && !pageActivated && !userStartedElements.has(element)) {
+            console.log(`Media Controller: Blocking autoplay on ${window.location.hostname}`);
+            element.pause();
+        }
+    } catch (e) {
+        console.error("Media Controller: Could not apply autoplay policy.", e);
+    }
+}
+
+/**
+ * Returns the resume settings (resumeMode, resumeMinMinutes). They're asked for every time rather
+ * than cached, so changing them in the options page applies to tabs that are already open;
+ * position reports are throttled, so this is at most one message every few seconds per element.
+ * @returns {Promise<Object>}
+ */
+function getResumeSettings() {
+    return browser.runtime.sendMessage({ cmd: "getPlaybackSettings" })
+        .catch(() => ({ resumeMode: 'off' }));
+}
+
+/**
+ * Identifies a media element within the page in a way that survives a reload: its source URL,
+ * or (for blob/MediaSource players, whose URLs change every load) its position on the page.
+ * @param {HTMLMediaElement} element - The <video> or <audio> element.
+ * @returns {string}
+ */
+function getPositionElementKey(element) {
+    const src = element.currentSrc;
+    if (/^https?:/.test(src)) {
+        return src.split('#')[0];
+    }
+    return `#${findAllMedia().indexOf(element)}`;
+}
+
+/**
+ * Checks whether a media element is long enough to remember its position.
+ * @param {HTMLMediaElement} element - The <video> or <audio> element.
+ * @param {Object} settings - The resume settings.
+ * @returns {boolean}
+ */
+function isResumable(element, settings) {
+    return settings.resumeMode !== 'off' && isFinite(element.duration) && element.duration >= settings.resumeMinMinutes * 60;
+}
+
+/**
+ * Reports the playback position of long media: every few seconds while it plays, right away when
+ * it pauses, and clears it once the media finishes.
+ * @param {Event} event - A timeupdate, pause or ended event.
+ */
+async function trackPosition(event) {
+    const element = event.target;
+    if (event.type === 'timeupdate' && Date.now() - (positionReportTimes.get(element) ?? 0) < POSITION_REPORT_INTERVAL_MS) {
+        return;
+    }
+    positionReportTimes.set(element, Date.now());
+    const settings = await getResumeSettings();
+    if (!isResumable(element, settings)) {
+        return;
+    }
+
+    const url = window.location.href;
+    const elementKey = getPositionElementKey(element);
+    if (event.type === 'ended' || element.currentTime >= element.duration - RESUME_END_MARGIN_SECONDS) {
+        browser.runtime.sendMessage({ cmd: "clearPosition", url, elementKey }).catch(() => {});
+    } else if (element.currentTime >= RESUME_MIN_POSITION_SECONDS) {
+        const title = getMediaMetadata(element, findAllMedia().length).title;
+        browser.runtime.sendMessage({ cmd: "savePosition", url, elementKey, time: element.currentTime, duration: element.duration, title }).catch(() => {});
+    }
+}
+
+/**
+ * Offers to resume long media from its saved position whenever it loads a source, either by
+ * seeking straight there or with a small in-page prompt, depending on the resume setting.
+ * @param {HTMLMediaElement} element - The <video> or <audio> element.
+ */
+function watchForResume(element) {
+    if (!resumeWatchedElements.has(element)) {
+        resumeWatchedElements.add(element);
+        element.addEventListener('loadedmetadata', () => offerResume(element));
+    }
+    if (element.readyState > 0) {
+        offerResume(element);
+    }
+}
+
+async function offerResume(element) {
+    const src = element.currentSrc;
+    if (resumeOffered.get(element) === src) {
+        return;
+    }
+    resumeOffered.set(element, src);
+
+    try {
+        const settings = await getResumeSettings();
+        if (!isResumable(element, settings)) {
+            return;
+        }
+        const { position, resumeMode } = await browser.runtime.sendMessage({
+            cmd: "getPosition",
+            url: window.location.href,
+            elementKey: getPositionElementKey(element)
+        });
+        if (!position || position.time < RESUME_MIN_POSITION_SECONDS || position.time > element.duration - RESUME_END_MARGIN_SECONDS) {
+            return;
+        }
+        // Some sites resume on their own
+        if (Math.abs(element.currentTime - position.time) < RESUME_MIN_POSITION_SECONDS) {
+            return;
+        }
+        if (resumeMode === 'auto') {
+            console.log(`Media Controller: Resuming media at ${position.time}s`);
+            element.currentTime = position.time;
+        } else if (resumeMode === 'prompt') {
+            showResumePrompt(element, position.time);
+        }
+    } catch (e) {
+        console.error("Media Controller: Could not check for a saved playback position.", e);
+    }
+}
+
+/**
+ * Shows a small box in the bottom-left corner of the page, with a ✕ button to close it. It lives
+ * in a closed shadow root so the page's styles can't affect it, replaces any box already shown,
+ * and goes away by itself after a while.
+ * @param {string} html - The box's content, before the ✕ button.
+ * @param {number} timeoutMs - How long it stays.
+ * @returns {{root: ShadowRoot, close: function(): void}}
+ */
+function showPageOverlay(html, timeoutMs) {
+    document.getElementById('media-controller-overlay')?.remove();
+    const host = document.createElement('div');
+    host.id = 'media-controller-overlay';
+    host.style.cssText = 'position: fixed; left: 16px; bottom: 16px; z-index: 2147483647;';
+    const root = host.attachShadow({ mode: 'closed' });
+    root.innerHTML = `
+        <style>
+            div { display: flex; align-items: center; gap: 8px; max-width: 480px; padding: 8px 12px; border-radius: 8px;
+                  background: #1e293b; color: #e2e8f0; font: 13px system-ui, sans-serif; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.4); }
+            button { border: 0; border-radius: 6px; padding: 4px 10px; cursor: pointer; font: inherit; }
+            .resume { background: #22c55e; color: #fff; }
+            .error { color: #fca5a5; }
+            .dismiss { background: transparent; color: #94a3b8; padding: 4px 6px; }
+        </style>
+        <div>
+            ${html}
+            <button class="dismiss" title="Close">✕</button>
+        </div>
+    `;
+    const timeout = setTimeout(() => host.remove(), timeoutMs);
+    const close = () => {
+        clearTimeout(timeout);
+        host.remove();
+    };
+    root.querySelector('.dismiss').addEventListener('click', close);
+    (document.body || document.documentElement).appendChild(host);
+    return { root, close };
+}
+
+/**
+ * Shows a "Resume from 12:34?" prompt in the corner of the page.
+ * @param {HTMLMediaElement} element - The media to resume.
+ * @param {number} time - The saved position in seconds.
+ */
+function showResumePrompt(element, time) {
+    const minutes = Math.floor(time / 60);
+    const label = minutes >= 60 ?
+        `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}:${String(Math.floor(time % 60)).padStart(2, '0')}` :
+        `${minutes}:${String(Math.floor(time % 60)).padStart(2, '0')}`;
+    const { root, close } = showPageOverlay(`
+        <span>Resume from ${label}?</span>
+        <button class="resume">Resume</button>
+    `, RESUME_PROMPT_TIMEOUT_MS);
+    root.querySelector('.resume').addEventListener('click', () => {
+        element.currentTime = time;
+        close();
+    });
+}
+
+/**
+ * Shows why a context menu action failed, since there's no popup open to show it in.
+ * @param {string} message - The error message.
+ * @returns {{ok: boolean}}
+ */
+function handleShowError(message) {
+    const { root } = showPageOverlay('<span class="error"></span>', PAGE_MESSAGE_TIMEOUT_MS);
+    root.querySelector('.error').textContent = `Media Controller: ${message}`;
+    return { ok: true };
+}
+
+/**
+ * Applies all stored per-site settings to a newly discovered media element.
+ * @param {HTMLMediaElement} element - The <video> or <audio> element.
+ */
+function applyStoredSettings(element) {
+    applyStoredVolume(element);
+    applyStoredRate(element);
+    applyAutoplayPolicy(element);
+    watchForResume(element);
+    applyStoredBoost(element);
+    applyStoredNormalize(element);
+    applyStoredEqualizer(element);
+}
+
+/**
+ * Checks whether a media element's output can be routed through Web Audio.
+ * Cross-origin media without CORS is silenced by the browser once routed, so we refuse it.
+ * @param {HTMLMediaElement} element - The <video> or <audio> element.
+ * @returns {boolean}
+ */
+function canRouteThroughWebAudio(element) {
+    const src = element.currentSrc || element.src;
+    if (!src) {
+        return false;
+    }
+    try {
+        const url = new URL(src, window.location.href);
+        if (url.protocol === 'blob:' || url.protocol === 'data:') {
+            return true;
+        }
+        return url.origin === window.location.origin || element.crossOrigin !== null;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Returns the Web Audio graph for an element, creating it on first use.
+ * @param {HTMLMediaElement} element - The <video> or <audio> element.
+ * @returns {{source: MediaElementAudioSourceNode, gain: GainNode}|null} The graph, or null if it can't be routed.
+ */
+function getAudioGraph(element) {
+    if (audioGraphs.has(element)) {
+        return audioGraphs.get(element);
+    }
+    if (!canRouteThroughWebAudio(element)) {
+        return null;
+    }
+
+    try {
+        if (!audioContext) {
+            audioContext = new AudioContext();
+        }
+        const source = audioContext.createMediaElementSource(element);
+        const gain = audioContext.createGain();
+        const graph = { source, eq: [], compressor: null, makeup: null, gain };
+        audioGraphs.set(element, graph);
+        connectAudioGraph(graph);
+
+        // The context may start suspended because of autoplay rules; resume it whenever playback starts.
+        element.addEventListener('play', () => audioContext.resume().catch(() => {}));
+        if (!element.paused) {
+            audioContext.resume().catch(() => {});
+        }
+        return graph;
+    } catch (e) {
+        console.error("Media Controller: Could not route media through Web Audio.", e);
+        return null;
+    }
+}
+
+/**
+ * (Re)connects the nodes of an element's audio graph in processing order,
+ * skipping optional stages that aren't enabled.
+ * @param {{source: AudioNode, eq: BiquadFilterNode[], compressor: ?DynamicsCompressorNode, makeup: ?GainNode, gain: GainNode}} graph - The element's audio graph.
+ */
+function connectAudioGraph(graph) {
+    const chain = [graph.source, ...graph.eq, graph.compressor, graph.makeup, graph.gain, audioContext.destination].filter(Boolean);
+    chain.forEach(node => node !== audioContext.destination && node.disconnect());
+    for (let i = 0; i < chain.length - 1; i++) {
+        chain[i].connect(chain[i + 1]);
+    }
+}
+
+/**
+ * Sets the Web Audio gain for an element. A gain of 1 never forces routing.
+ * @param {HTMLMediaElement} element - The <video> or <audio> element.
+ * @param {number} gain - The gain multiplier, where 1 is 100%.
+ * @returns {{ok: boolean, error?: string}}
+ */
+function setElementBoost(element, gain) {
+    if (gain <= 1 && !audioGraphs.has(element)) {
+        boostBlockedElements.delete(element);
+        return { ok: true };
+    }
+
+    const graph = getAudioGraph(element);
+    if (!graph) {
+        boostBlockedElements.add(element);
+        return { ok: false, error: "This media is served from another origin and can't be boosted. Using normal volume." };
+    }
+
+    boostBlockedElements.delete(element);
+    graph.gain.gain.setTargetAtTime(gain, audioContext.currentTime, 0.02);
+    return { ok: true };
+}
+
+/**
+ * Turns the loudness normalization compressor on (with a preset) or off for an element.
+ * @param {HTMLMediaElement} element - The <video> or <audio> element.
+ * @param {?string} presetName - A key of NORMALIZE_PRESETS, or null to turn normalization off.
+ * @returns {{ok: boolean, error?: string}}
+ */
+function setElementNormalize(element, presetName) {
+    const preset = presetName ? NORMALIZE_PRESETS[presetName] : null;
+    if (presetName && !preset) {
+        return { ok: false, error: `Unknown normalize preset "${presetName}".` };
+    }
+
+    if (!preset) {
+        normalizeRequests.delete(element);
+        const graph = audioGraphs.get(element);
+        if (graph && graph.compressor) {
+            graph.compressor = null;
+            graph.makeup = null;
+            connectAudioGraph(graph);
+        }
+        return { ok: true };
+    }
+
+    normalizeRequests.set(element, presetName);
+    const graph = getAudioGraph(element);
+    if (!graph) {
+        return { ok: false, error: "This media is served from another origin and can't be normalized." };
+    }
+
+    if (!graph.compressor) {
+        graph.compressor = audioContext.createDynamicsCompressor();
+        graph.makeup = audioContext.createGain();
+    }
+    graph.compressor.threshold.value = preset.threshold;
+    graph.compressor.knee.value = preset.knee;
+    graph.compressor.ratio.value = preset.ratio;
+    graph.compressor.attack.value = preset.attack;
+    graph.compressor.release.value = preset.release;
+    graph.makeup.gain.value = preset.makeupGain;
+    connectAudioGraph(graph);
+    return { ok: true };
+}
+
+/**
+ * Sets the graphic equalizer bands for an element, or removes the equalizer.
+ * The lowest band is a low shelf, the highest a high shelf and the rest are peaking filters.
+ * @param {HTMLMediaElement} element - The <video> or <audio> element.
+ * @param {?Array<{frequency: number, gain: number}>} bands - The bands in ascending frequency, or null to turn the EQ off.
+ * @returns {{ok: boolean, error?: string}}
+ */
+function setElementEqualizer(element, bands) {
+    if (!bands || bands.length === 0) {
+        equalizerRequests.delete(element);
+        const graph = audioGraphs.get(element);
+        if (graph && graph.eq.length > 0) {
+            graph.eq = [];
+            connectAudioGraph(graph);
+        }
+        return { ok: true };
+    }
+
+    equalizerRequests.set(element, bands);
+    const graph = getAudioGraph(element);
+    if (!graph) {
+        return { ok: false, error: "This media is served from another origin and can't be equalized." };
+    }
+
+    // Rebuild the filters only when the band layout changes; otherwise just retune the gains.
+    const sameLayout = graph.eq.length === bands.length &&
+        graph.eq.every((filter, i) => filter.frequency.value === bands[i].frequency);
+    if (!sameLayout) {
+        graph.eq = bands.map((band, i) => {
+            const filter = audioContext.createBiquadFilter();
+            filter.type = i === 0 ? 'lowshelf' : i === bands.length - 1 ? 'highshelf' : 'peaking';
+            filter.frequency.value = band.frequency;
+            filter.Q.value = 1.1;
+            return filter;
+        });
+        connectAudioGraph(graph);
+    }
+    graph.eq.forEach((filter, i) => {
+        filter.gain.setTargetAtTime(bands[i].gain, audioContext.currentTime, 0.02);
+    });
+    return { ok: true };
+}
+
+/**
+ * Applies the stored equalizer for this site to a media element.
+ * @param {HTMLMediaElement} element - The <video> or <audio> element.
+ */
+async function applyStoredEqualizer(element) {
+    if (element.readyState === 0) {
+        element.addEventListener('loadedmetadata', () => applyStoredEqualizer(element), { once: true });
+        return;
+    }
+
+    try {
+        const storedEqualizer = await browser.runtime.sendMessage({ cmd: "getEqualizer", hostname: SITE_HOSTNAME });
+        if (storedEqualizer && storedEqualizer.bands) {
+            setElementEqualizer(element, storedEqualizer.bands);
+        }
+    } catch (e) {
+        console.error("Media Controller: Could not apply stored equalizer.", e);
+    }
+}
+
+/**
+ * Applies the stored normalize preset for this site to a media element.
+ * @param {HTMLMediaElement} element - The <video> or <audio> element.
+ */
+async function applyStoredNormalize(element) {
+    if (element.readyState === 0) {
+        element.addEventListener('loadedmetadata', () => applyStoredNormalize(element), { once: true });
+        return;
+    }
+
+    try {
+        const storedPreset = await browser.runtime.sendMessage({ cmd: "getNormalize", hostname: SITE_HOSTNAME });
+        if (storedPreset) {
+            setElementNormalize(element, storedPreset);
+        }
+    } catch (e) {
+        console.error("Media Controller: Could not apply stored normalize setting.", e);
+    }
+}
+
+/**
+ * Applies the stored volume boost for this site to a media element.
+ * @param {HTMLMediaElement} element - The <video> or <audio> element.
+ */
+async function applyStoredBoost(element) {
+    if (element.readyState === 0) {
+        element.addEventListener('loadedmetadata', () => applyStoredBoost(element), { once: true });
+        return;
+    }
+
+    try {
+        const storedBoost = await browser.runtime.sendMessage({ cmd: "getBoost", hostname: SITE_HOSTNAME });
+        if (typeof storedBoost === 'number') {
+            setElementBoost(element, storedBoost);
+        }
+    } catch (e) {
+        console.error("Media Controller: Could not apply stored volume boost.", e);
+    }
+}
 
 function getThumbnail(video) {
     try {
@@ -50,6 +699,96 @@ function getThumbnail(video) {
     }
 }
 
+/**
+ * Returns a video's thumbnail, redrawing it only when it is stale and a popup is watching.
+ * @param {HTMLVideoElement} video - The video element.
+ */
+function getCachedThumbnail(video) {
+    const cached = thumbnailCache.get(video);
+    if (cached && (!stateWatched || Date.now() - cached.time < THUMBNAIL_REFRESH_MS)) {
+        return cached.data;
+    }
+    const data = getThumbnail(video);
+    thumbnailCache.set(video, { data, time: Date.now() });
+    return data;
+}
+
+/**
+ * Reads the content of a `<meta property="...">` or `<meta name="...">` tag.
+ * @param {string} key - The property or name, e.g. "og:title".
+ * @returns {string} The content, or "" if the tag isn't there.
+ */
+function getMetaContent(key) {
+    const meta = document.querySelector(`meta[property="${key}"], meta[name="${key}"]`);
+    return meta?.content?.trim() || "";
+}
+
+/**
+ * Resolves an image URL against the page so the popup can load it. Blob URLs only work inside
+ * the page, so they're dropped.
+ * @param {string} url - The URL as written in the page.
+ * @returns {string} An absolute URL, or "".
+ */
+function resolveImageUrl(url) {
+    if (!url) {
+        return "";
+    }
+    try {
+        const resolved = new URL(url, document.baseURI);
+        return resolved.protocol === 'blob:' ? "" : resolved.href;
+    } catch (e) {
+        return "";
+    }
+}
+
+/**
+ * Checks whether the page's Media Session (metadata and action handlers) describes this element.
+ * The session belongs to the page's current player: the element that played last, or the only one.
+ * @param {HTMLMediaElement} el - The media element.
+ * @param {number} mediaCount - How many media elements are on the page.
+ * @returns {boolean}
+ */
+function ownsMediaSession(el, mediaCount) {
+    return el === lastPlayedElement || mediaCount === 1;
+}
+
+/**
+ * Collects what the media is: title, artist, album and artwork. Each field falls back through
+ * the sources most specific to this element first:
+ *   title:   Media Session -> element title / aria-label -> Open Graph title -> document title
+ *   artist:  Media Session -> Open Graph site name
+ *   album:   Media Session
+ *   artwork: Media Session -> poster attribute -> Open Graph image
+ * Media Session is only used for the element that owns it (see ownsMediaSession).
+ * @param {HTMLMediaElement} el - The media element.
+ * @param {number} mediaCount - How many media elements are on the page.
+ * @returns {{title: string, artist: string, album: string, artwork: string}}
+ */
+function getMediaMetadata(el, mediaCount) {
+    let session = null;
+    if (navigator.mediaSession?.metadata && ownsMediaSession(el, mediaCount)) {
+        session = navigator.mediaSession.metadata;
+    }
+
+    let sessionArtwork = "";
+    if (session?.artwork?.length) {
+        // Use the largest image offered; sizes look like "512x512" (or "any")
+        const area = (image) => {
+            const match = /(\d+)x(\d+)/.exec(image.sizes || "");
+            return image.sizes === 'any' ? Infinity : match ? match[1] * match[2] : 0;
+        };
+        const largest = [...session.artwork].sort((a, b) => area(b) - area(a))[0];
+        sessionArtwork = resolveImageUrl(largest.src);
+    }
+
+    return {
+        title: session?.title || el.title || el.getAttribute('aria-label') || getMetaContent('og:title') || document.title || "",
+        artist: session?.artist || getMetaContent('og:site_name'),
+        album: session?.album || "",
+        artwork: sessionArtwork || resolveImageUrl(el.getAttribute('poster')) || resolveImageUrl(getMetaContent('og:image'))
+    };
+}
+
 // Check if element is visible in viewport
 function isElementVisible(el) {
     const rect = el.getBoundingClientRect();
@@ -83,20 +822,129 @@ function shouldIncludeInstagramMedia(el) {
     if (el.tagName.toLowerCase() === 'audio') {
         return true;
     }
-    
-    // For paused videos, apply stricter filtering
-    const rect = el.getBoundingClientRect();
-    const viewportHeight = window.innerHeight;
-    
-    // Check if it's likely the main video (reasonable size and position)
-    const isMainVideo = (
-        rect.height > 200 && 
-        rect.width > 200 &&
-        rect.top > -50 && 
-        rect.bottom < viewportHeight + 50
-    );
-    
-    return isMainVideo;
+    
+    // For paused videos, apply stricter filtering
+    const rect = el.getBoundingClientRect();
+    const viewportHeight = window.innerHeight;
+    
+    // Check if it's likely the main video (reasonable size and position)
+    const isMainVideo = (
+        rect.height > 200 && 
+        rect.width > 200 &&
+        rect.top > -50 && 
+        rect.bottom < viewportHeight + 50
+    );
+    
+    return isMainVideo;
+}
+
+/**
+ * Returns the stable ID of a media element, registering it on first sight.
+ * @param {HTMLMediaElement} element - The <video> or <audio> element.
+ * @returns {number}
+ */
+function getMediaId(element) {
+    if (!mediaIds.has(element)) {
+        const id = nextMediaId++;
+        mediaIds.set(element, id);
+        mediaElements.set(id, new WeakRef(element));
+    }
+    return mediaIds.get(element);
+}
+
+/**
+ * Looks up a media element by its stable ID.
+ * @param {number} id - The media ID.
+ * @returns {HTMLMediaElement|null} The element, or null if it has been removed from the page.
+ */
+function getMediaElement(id) {
+    const element = mediaElements.get(id)?.deref();
+    if (!element || (!element.isConnected && !detachedMediaLookup.has(element))) {
+        mediaElements.delete(id);
+        return null;
+    }
+    return element;
+}
+
+/**
+ * Runs an action on each media element in a list of IDs.
+ * @param {number[]} ids - The media IDs.
+ * @param {function(HTMLMediaElement): void} action - What to do with each element.
+ * @returns {{ok: boolean, error?: string, gone?: number[]}}
+ */
+function forEachMediaId(ids, action) {
+    const gone = [];
+    for (const id of ids) {
+        const element = getMediaElement(id);
+        if (element) {
+            action(element);
+        } else {
+            gone.push(id);
+        }
+    }
+    return gone.length > 0 ? { ok: false, error: MEDIA_GONE_ERROR, gone } : { ok: true };
+}
+
+/**
+ * Runs an action on a single media element, turning a missing element or an exception into an error result.
+ * @param {number} id - The media ID.
+ * @param {function(HTMLMediaElement): (Object|void)} action - What to do with the element; may return its own result.
+ * @returns {{ok: boolean, error?: string}}
+ */
+function withMediaElement(id, action) {
+    const element = getMediaElement(id);
+    if (!element) {
+        return { ok: false, error: MEDIA_GONE_ERROR };
+    }
+    try {
+        return action(element) ?? { ok: true };
+    } catch (e) {
+        return { ok: false, error: e.message };
+    }
+}
+
+/**
+ * Dereferences a set of WeakRefs, dropping the ones whose targets were garbage collected.
+ * @param {Set<WeakRef>} refs - The set to read and prune.
+ * @returns {Array} The live targets.
+ */
+function derefAll(refs) {
+    const live = [];
+    for (const ref of refs) {
+        const target = ref.deref();
+        if (target) {
+            live.push(target);
+        } else {
+            refs.delete(ref);
+        }
+    }
+    return live;
+}
+
+/**
+ * Finds every media element we can control: in the document, in open shadow roots, and detached.
+ * @returns {HTMLMediaElement[]}
+ */
+function findAllMedia() {
+    const found = new Set(document.querySelectorAll('video, audio'));
+    for (const root of derefAll(shadowRoots)) {
+        root.querySelectorAll('video, audio').forEach(el => found.add(el));
+    }
+    derefAll(detachedMedia).forEach(el => found.add(el));
+    return [...found];
+}
+
+/**
+ * Converts a TimeRanges object into something that can be sent in a message.
+ * @param {TimeRanges} ranges - e.g. a media element's seekable or buffered ranges.
+ * @returns {Array<[number, number]>} [start, end] pairs in seconds.
+ */
+function getTimeRanges(ranges) {
+    const result = [];
+    for (let i = 0; i < ranges.length; i++) {
+        result.push([ranges.start(i), ranges.end(i)]);
+    }
+    return result;
 }
 
 function handleQuery() {
@@ -104,20 +952,17 @@ function handleQuery() {
     const visibleElements = [];
     const otherElements = [];
     
-    const els = document.querySelectorAll("video,audio");
-    let count = 1;
-    mediaElements.clear(); // Clear the map to only include current elements
+    const els = findAllMedia();
     
     for (const el of els) {
-        mediaElements.set(count, el);
+        const id = getMediaId(el);
         
         if (
-            el.readyState > 0 && 
-            !isNaN(el.duration) &&
-            el.duration > 0 // Ensure valid duration
+            el.readyState > 0 &&
+            // Live streams report an Infinity or (before their first segment is parsed) NaN duration
+            (isNaN(el.duration) || el.duration > 0)
         ) {
             if (!shouldIncludeInstagramMedia(el)) {
-                count++;
                 continue;
             }
             
@@ -127,7 +972,7 @@ function handleQuery() {
             
             let thumbnailData = {thumbnail: "", bgcolor: [240, 240, 240], fgcolor: "333333"};
             if (!isAudio) {
-                thumbnailData = getThumbnail(el);
+                thumbnailData = getCachedThumbnail(el);
             }
             
             const mediaInfo = {
@@ -135,13 +980,33 @@ function handleQuery() {
                 type: el.tagName.toLowerCase(),
                 duration: el.duration,
                 currentTime: el.currentTime,
+                seekable: getTimeRanges(el.seekable),
+                buffered: getTimeRanges(el.buffered),
                 playing: isPlaying,
-                volume: el.volume,
+                volume: getBaseVolume(el),
                 muted: el.muted,
-                id: count,
+                ducked: duckLevel !== null,
+                playbackRate: el.playbackRate,
+                boost: audioGraphs.has(el) ? audioGraphs.get(el).gain.gain.value : 1,
+                boostBlocked: boostBlockedElements.has(el),
+                normalize: normalizeRequests.get(el) ?? null,
+                normalizeBlocked: normalizeRequests.has(el) && !audioGraphs.get(el)?.compressor,
+                equalizer: equalizerRequests.has(el),
+                equalizerBlocked: equalizerRequests.has(el) && !audioGraphs.get(el)?.eq.length,
+                id: id,
+                origin: window.location.origin,
                 bgcolor: thumbnailData.bgcolor,
                 fgcolor: thumbnailData.fgcolor,
-                visible: isVisible || isAudio
+                visible: isVisible || isAudio,
+                pip: document.pictureInPictureElement === el,
+                pipAvailable: !isAudio && getPipUnavailableReason(el) === null,
+                pipUnavailableReason: isAudio ? null : getPipUnavailableReason(el),
+                index: els.indexOf(el),
+                loop: el.loop,
+                loopStart: abLoops.get(el)?.start ?? null,
+                loopEnd: abLoops.get(el)?.end ?? null,
+                metadata: getMediaMetadata(el, els.length),
+                sessionActions: ownsMediaSession(el, els.length) ? sessionActions : []
             };
             
             if (isPlaying) {
@@ -152,8 +1017,6 @@ function handleQuery() {
                 otherElements.push(mediaInfo);
             }
         }
-        
-        count++;
     }
     
     const result = [
@@ -166,88 +1029,482 @@ function handleQuery() {
 }
 
 function handlePause(ids) {
-    for (const id of ids) {
-        if (mediaElements.has(id)) {
-            mediaElements.get(id).pause();
-        }
-    }
-    return "play";
+    return forEachMediaId(ids, el => el.pause());
+}
+
+/**
+ * Returns every media element we know about: the ones in the page plus any still-registered ones.
+ * @returns {Set<HTMLMediaElement>}
+ */
+function getAllMediaElements() {
+    const registered = [...mediaElements.keys()].map(getMediaElement).filter(Boolean);
+    return new Set([...findAllMedia(), ...registered]);
 }
 
-function handlePauseAll() {
-    for (const [, el] of mediaElements) {
+/**
+ * Pauses every playing media element in the page.
+ * @param {boolean} [remember] - Remember what was paused so resumeAutoPaused can restart it.
+ */
+function handlePauseAll(remember) {
+    if (remember) {
+        autoPausedElements.clear();
+    }
+    for (const el of getAllMediaElements()) {
         if (!el.paused) {
             el.pause();
+            if (remember) {
+                autoPausedElements.add(el);
+            }
         }
     }
     return "ok";
 }
 
-function handlePlay(ids) {
-    for (const id of ids) {
-        if (mediaElements.has(id)) {
-            mediaElements.get(id).play();
-        }
+/**
+ * Re-applies the site's saved volume, playback rate and autoplay policy to every media element,
+ * after the background script reports that saved site settings changed (e.g. in the options page).
+ */
+function handleSiteSettingsChanged() {
+    for (const el of getAllMediaElements()) {
+        applyStoredVolume(el);
+        applyStoredRate(el);
+        applyAutoplayPolicy(el);
     }
-    return "pause";
+    return "ok";
 }
 
-function handleMute(ids) {
-    for (const id of ids) {
-        if (mediaElements.has(id)) {
-            mediaElements.get(id).muted = true;
+/**
+ * Resumes the media paused by the last pauseAll with remember set, if it is still paused.
+ */
+function handleResumeAutoPaused() {
+    for (const el of autoPausedElements) {
+        if (el.paused) {
+            userStartedElements.add(el);
+            el.play().catch(() => {});
         }
     }
-    return "unmute";
+    autoPausedElements.clear();
+    return "ok";
+}
+
+/**
+ * Toggles play/pause on the most recently played media in the page (used by keyboard shortcuts).
+ * @returns {boolean} Whether there was any media to toggle.
+ */
+function handleTogglePlayback() {
+    const all = [...getAllMediaElements()];
+    const target = (lastPlayedElement && all.includes(lastPlayedElement) && lastPlayedElement) ||
+        all.find(el => !el.paused) ||
+        all.find(el => el.readyState > 0);
+    if (!target) {
+        return false;
+    }
+    if (target.paused) {
+        userStartedElements.add(target);
+        target.play().catch(() => {}); // Blocked autoplay or no source; nothing to report to a shortcut
+    } else {
+        target.pause();
+    }
+    return true;
+}
+
+/**
+ * Seeks the most recently played media in the page by a relative amount (used by keyboard shortcuts).
+ * @param {number} seconds - How far to seek; negative values seek backwards.
+ * @returns {boolean} Whether there was any media to seek.
+ */
+function handleSeekBy(seconds) {
+    const all = [...getAllMediaElements()];
+    const target = (lastPlayedElement && all.includes(lastPlayedElement) && lastPlayedElement) || all.find(el => !el.paused);
+    if (!target || !isFinite(target.duration)) {
+        return false;
+    }
+    target.currentTime = Math.min(Math.max(target.currentTime + seconds, 0), target.duration);
+    return true;
+}
+
+/**
+ * Applies a site-wide volume and boost to every media element in the page.
+ * @param {number} volume - The element volume, 0 to 1.
+ * @param {number} gain - The Web Audio boost, where 1 is 100%.
+ * @returns {boolean}
+ */
+function handleSiteVolume(volume, gain) {
+    for (const el of getAllMediaElements()) {
+        setElementVolume(el, volume);
+        setElementBoost(el, gain);
+    }
+    return true;
+}
+
+function handlePlay(ids) {
+    return forEachMediaId(ids, el => {
+        userStartedElements.add(el);
+        el.play();
+    });
+}
+
+/**
+ * Plays the next item of the background script's play queue. After a reload the element has a
+ * new ID, so the background script sends null and we find it by its position in the page instead.
+ * @param {?number} id - The media ID, or null.
+ * @param {number} index - The element's position among the page's media.
+ * @returns {Promise<{ok: boolean, id?: number, error?: string, blocked?: boolean}>}
+ *          blocked is set when the browser refused to autoplay, e.g. in a background tab.
+ */
+async function handlePlayQueued(id, index) {
+    const element = id !== null ? getMediaElement(id) : findAllMedia()[index];
+    if (!element) {
+        return { ok: false, error: MEDIA_GONE_ERROR };
+    }
+    userStartedElements.add(element);
+    try {
+        await element.play();
+        return { ok: true, id: getMediaId(element) };
+    } catch (e) {
+        return { ok: false, error: e.message, blocked: e.name === 'NotAllowedError' };
+    }
+}
+
+function handleMute(ids) {
+    return forEachMediaId(ids, el => { el.muted = true; });
 }
 
 function handleUnMute(ids) {
-    for (const id of ids) {
-        if (mediaElements.has(id)) {
-            mediaElements.get(id).muted = false;
+    return forEachMediaId(ids, el => { el.muted = false; });
+}
+
+async function handleVolume(id, volume) {
+    return withMediaElement(id, el => setElementVolume(el, volume));
+}
+
+/**
+ * Lowers every media element in the page to a fraction of its normal volume.
+ * @param {number} level - The fraction of the normal volume to keep, e.g. 0.2.
+ * @param {number} fadeMs - How long the fade down should take.
+ */
+function handleDuck(level, fadeMs) {
+    for (const el of getAllMediaElements()) {
+        if (duckLevel === null || !duckBaseVolumes.has(el)) {
+            duckBaseVolumes.set(el, el.volume);
         }
+        fadeVolume(el, duckBaseVolumes.get(el) * level, fadeMs);
     }
-    return "mute";
+    duckLevel = level;
+    return "ok";
 }
 
-async function handleVolume(id, volume) {
-    if (mediaElements.has(id)) {
-        try {
-            mediaElements.get(id).volume = volume;
-            return true;
-        } catch (e) {
-            return false;
+/**
+ * Restores the normal volume after ducking: the stored site volume if there is one,
+ * otherwise the volume each element had before it was ducked.
+ * @param {number} fadeMs - How long the fade up should take.
+ */
+async function handleUnduck(fadeMs) {
+    if (duckLevel === null) {
+        return "ok";
+    }
+    let storedVolume;
+    try {
+        storedVolume = (await getSiteSettings()).volume;
+    } catch (e) {
+        storedVolume = undefined;
+    }
+    for (const el of getAllMediaElements()) {
+        const target = typeof storedVolume === 'number' ? storedVolume : getBaseVolume(el);
+        fadeVolume(el, target, fadeMs);
+        duckBaseVolumes.delete(el);
+    }
+    duckLevel = null;
+    return "ok";
+}
+
+async function handleBoost(id, gain) {
+    return withMediaElement(id, el => setElementBoost(el, gain));
+}
+
+/**
+ * Sets the normalize preset on every media element in the page, since it's a per-site setting.
+ * @param {?string} preset - A key of NORMALIZE_PRESETS, or null to turn normalization off.
+ * @returns {{ok: boolean, error?: string}} The first failure, if any element couldn't be normalized.
+ */
+function handleNormalize(preset) {
+    let result = { ok: true };
+    findAllMedia().forEach(el => {
+        const elementResult = setElementNormalize(el, preset);
+        if (!elementResult.ok && result.ok) {
+            result = elementResult;
+        }
+    });
+    return result;
+}
+
+/**
+ * Sets the equalizer on every media element in the page, since it's a per-site setting.
+ * @param {?Array<{frequency: number, gain: number}>} bands - The EQ bands, or null to turn the EQ off.
+ * @returns {{ok: boolean, error?: string}} The first failure, if any element couldn't be equalized.
+ */
+function handleEqualizer(bands) {
+    let result = { ok: true };
+    findAllMedia().forEach(el => {
+        const elementResult = setElementEqualizer(el, bands);
+        if (!elementResult.ok && result.ok) {
+            result = elementResult;
         }
+    });
+    return result;
+}
+
+/**
+ * Keeps A–B loops and our full-track loop tied to the media they were set on: both are cleared
+ * when the element loads a different source (`emptied`), and `timeupdate` jumps back to A at B.
+ * @param {HTMLMediaElement} element - The <video> or <audio> element.
+ */
+function watchLoop(element) {
+    if (loopWatchedElements.has(element)) {
+        return;
     }
-    return false;
+    loopWatchedElements.add(element);
+    element.addEventListener('timeupdate', () => {
+        if (isAbLooping(element) && element.currentTime >= abLoops.get(element).end) {
+            element.currentTime = abLoops.get(element).start ?? 0;
+        }
+    });
+    // A B point at (or just before) the very end is never reached by timeupdate, since the media ends first
+    element.addEventListener('ended', () => {
+        if (isAbLooping(element)) {
+            element.currentTime = abLoops.get(element).start ?? 0;
+            element.play().catch(() => {});
+        }
+    });
+    element.addEventListener('emptied', () => {
+        abLoops.delete(element);
+        if (loopedByUs.has(element)) {
+            loopedByUs.delete(element);
+            element.loop = false;
+        }
+        scheduleStatePush();
+    });
+}
+
+/**
+ * Checks whether a media element has a complete A–B loop, i.e. one with an end (B) point.
+ * @param {HTMLMediaElement} element - The <video> or <audio> element.
+ * @returns {boolean}
+ */
+function isAbLooping(element) {
+    const loop = abLoops.get(element);
+    return Boolean(loop) && loop.end !== null;
+}
+
+/**
+ * Checks whether a media element with `loop` set has just gone back to the start. Looping media
+ * never fires `ended`, so this is the only sign that a track finished. Call it on every `timeupdate`.
+ * @param {HTMLMediaElement} element - The <video> or <audio> element.
+ * @returns {boolean}
+ */
+function hasLoopWrapped(element) {
+    const previous = loopPositions.get(element);
+    loopPositions.set(element, element.currentTime);
+    return element.loop && !isAbLooping(element) && previous !== undefined &&
+        previous >= element.duration - LOOP_WRAP_MARGIN_SECONDS && element.currentTime < LOOP_WRAP_MARGIN_SECONDS;
+}
+
+/**
+ * Sets or clears the A–B loop points of a media element.
+ * @param {number} id - The media ID.
+ * @param {?number} start - Loop start (A) in seconds, or null.
+ * @param {?number} end - Loop end (B) in seconds, or null. With both null the loop is cleared.
+ * @returns {{ok: boolean, error?: string}}
+ */
+function handleAbLoop(id, start, end) {
+    return withMediaElement(id, el => {
+        if (start !== null && end !== null && end <= start) {
+            return { ok: false, error: "The loop end (B) must be after the loop start (A)." };
+        }
+        if (start === null && end === null) {
+            abLoops.delete(el);
+        } else {
+            watchLoop(el);
+            abLoops.set(el, { start, end });
+            // Start the section right away if we're outside it
+            if (end !== null && (el.currentTime >= end || (start !== null && el.currentTime < start))) {
+                el.currentTime = start ?? 0;
+            }
+        }
+        // Paused media won't send another event, so push the change ourselves
+        scheduleStatePush();
+    });
+}
+
+/**
+ * Turns repeating the whole track on or off.
+ * @param {number} id - The media ID.
+ * @param {boolean} loop - Whether to loop.
+ */
+function handleLoop(id, loop) {
+    return withMediaElement(id, el => {
+        watchLoop(el);
+        el.loop = loop;
+        if (loop) {
+            loopedByUs.add(el);
+        } else {
+            loopedByUs.delete(el);
+        }
+        scheduleStatePush();
+    });
 }
 
 async function handleCurrentTime(id, currentTime) {
-    if (mediaElements.has(id)) {
-        try {
-            mediaElements.get(id).currentTime = currentTime;
-            return true;
-        } catch (e) {
-            return false;
+    return withMediaElement(id, el => { el.currentTime = currentTime; });
+}
+
+/**
+ * Jumps a live stream to the end of its seekable window (the live edge), and plays it.
+ * @param {number} id - The media ID.
+ * @returns {{ok: boolean, error?: string}}
+ */
+function handleGoLive(id) {
+    return withMediaElement(id, el => {
+        if (el.seekable.length === 0) {
+            return { ok: false, error: "This stream can't be seeked." };
         }
-    }
-    return false;
+        el.currentTime = el.seekable.end(el.seekable.length - 1);
+        if (el.paused) {
+            userStartedElements.add(el);
+            el.play().catch(() => {});
+        }
+    });
+}
+
+async function handlePlaybackRate(id, rate) {
+    return withMediaElement(id, el => {
+        extensionRates.set(el, rate);
+        el.defaultPlaybackRate = rate;
+        el.playbackRate = rate;
+    });
 }
 
 async function handleFocus(id) {
-    if (mediaElements.has(id)) {
+    return withMediaElement(id, el => {
+        el.scrollIntoView({
+            behavior: 'smooth',
+            block: 'center',
+            inline: 'center'
+        });
+    });
+}
+
+/**
+ * Explains why Picture-in-Picture can't be used for an element.
+ * @param {HTMLMediaElement} element - The <video> or <audio> element.
+ * @returns {string|null} A human-readable reason, or null if PiP is available.
+ */
+function getPipUnavailableReason(element) {
+    if (element.tagName.toLowerCase() !== 'video') {
+        return "Picture-in-Picture is only available for videos.";
+    }
+    if (typeof element.requestPictureInPicture !== 'function') {
+        // Firefox has PiP, but doesn't let pages or extensions start it
+        return "Firefox doesn't let extensions start Picture-in-Picture. Use the Picture-in-Picture toggle on the video itself.";
+    }
+    if (!document.pictureInPictureEnabled) {
+        return "Picture-in-Picture has been disabled on this page.";
+    }
+    if (element.disablePictureInPicture) {
+        return "This site has disabled Picture-in-Picture for this video.";
+    }
+    return null;
+}
+
+/**
+ * Triggers one of the page's own Media Session action handlers (e.g. "nexttrack"), through
+ * mediasession.js in the page's context.
+ * @param {string} action - The Media Session action.
+ * @param {number} [seekOffset] - Seconds to seek, for "seekforward"/"seekbackward".
+ * @returns {{ok: boolean, error?: string}}
+ */
+function handleMediaSessionAction(action, seekOffset) {
+    if (!sessionActions.includes(action)) {
+        return { ok: false, error: `This page doesn't support "${action}".` };
+    }
+    document.dispatchEvent(new CustomEvent(SESSION_ACTION_EVENT, { detail: JSON.stringify({ action, seekOffset }) }));
+    return { ok: true };
+}
+
+/**
+ * Enters Picture-in-Picture for the given media, or exits it if that media is already in PiP.
+ * @param {number} id - The media ID.
+ * @returns {Promise<{ok: boolean, pip?: boolean, error?: string}>}
+ */
+async function handlePip(id) {
+    const element = getMediaElement(id);
+    if (!element) {
+        return { ok: false, error: MEDIA_GONE_ERROR };
+    }
+    const reason = getPipUnavailableReason(element);
+    if (reason) {
+        return { ok: false, error: reason };
+    }
+
+    try {
+        if (document.pictureInPictureElement === element) {
+            await document.exitPictureInPicture();
+            return { ok: true, pip: false };
+        }
+        await element.requestPictureInPicture();
+        return { ok: true, pip: true };
+    } catch (e) {
+        return { ok: false, error: e.message || "Picture-in-Picture request was rejected." };
+    }
+}
+
+/**
+ * Captures a video's current frame at its native resolution as a PNG data URL.
+ * @param {number} id - The media ID.
+ * @returns {{ok: boolean, dataUrl?: string, title?: string, error?: string}}
+ */
+function handleSnapshot(id) {
+    return withMediaElement(id, el => {
+        if (el.tagName.toLowerCase() !== 'video') {
+            return { ok: false, error: "Only videos can be captured." };
+        }
+        if (!el.videoWidth || !el.videoHeight) {
+            return { ok: false, error: "The video hasn't loaded a frame yet." };
+        }
+        const canvas = document.createElement("canvas");
+        canvas.width = el.videoWidth;
+        canvas.height = el.videoHeight;
+        canvas.getContext("2d").drawImage(el, 0, 0);
         try {
-            mediaElements.get(id).scrollIntoView({
-                behavior: 'smooth',
-                block: 'center',
-                inline: 'center'
-            });
-            return true;
+            return { ok: true, dataUrl: canvas.toDataURL("image/png"), title: getMediaMetadata(el, findAllMedia().length).title };
         } catch (e) {
-            return false;
+            if (e.name === 'SecurityError') {
+                // The frame was drawn, but reading it back is blocked because the video is cross-origin
+                return { ok: false, error: "This video is served from another site that doesn't allow capturing its frames." };
+            }
+            throw e;
         }
+    });
+}
+
+/**
+ * Resolves the media element a context menu was opened on, so the background script can send
+ * the usual commands for it. The volume is the one it has when it isn't ducked.
+ * @param {number} targetElementId - The menus API's ID of the clicked element.
+ * @returns {{ok: boolean, id?: number, volume?: number, boost?: number, loop?: boolean, error?: string}}
+ */
+function handleMenuTarget(targetElementId) {
+    const element = browser.menus.getTargetElement(targetElementId);
+    if (!(element instanceof HTMLMediaElement)) {
+        return { ok: false, error: MEDIA_GONE_ERROR };
     }
-    return false;
+    return {
+        ok: true,
+        id: getMediaId(element),
+        volume: getBaseVolume(element),
+        boost: audioGraphs.has(element) ? audioGraphs.get(element).gain.gain.value : 1,
+        loop: element.loop
+    };
 }
 
 browser.runtime.onMessage.addListener((request) => {
@@ -259,17 +1516,57 @@ browser.runtime.onMessage.addListener((request) => {
         case "pause":
             return Promise.resolve(handlePause(request.ids));
         case "pauseAll":
-            return Promise.resolve(handlePauseAll());
+            return Promise.resolve(handlePauseAll(request.remember));
+        case "resumeAutoPaused":
+            return Promise.resolve(handleResumeAutoPaused());
+        case "siteSettingsChanged":
+            return Promise.resolve(handleSiteSettingsChanged());
+        case "togglePlayback":
+            return Promise.resolve(handleTogglePlayback());
+        case "seekBy":
+            return Promise.resolve(handleSeekBy(request.seconds));
+        case "siteVolume":
+            return Promise.resolve(handleSiteVolume(request.volume, request.gain));
         case "mute":
             return Promise.resolve(handleMute(request.ids));
         case "unmute":
             return Promise.resolve(handleUnMute(request.ids));
         case "volume":
             return Promise.resolve(handleVolume(request.id, request.volume));
+        case "duck":
+            return Promise.resolve(handleDuck(request.level, request.fadeMs));
+        case "unduck":
+            return handleUnduck(request.fadeMs);
+        case "boost":
+            return Promise.resolve(handleBoost(request.id, request.gain));
+        case "normalize":
+            return Promise.resolve(handleNormalize(request.preset));
+        case "equalizer":
+            return Promise.resolve(handleEqualizer(request.bands));
         case "currentTime":
             return Promise.resolve(handleCurrentTime(request.id, request.currentTime));
+        case "goLive":
+            return Promise.resolve(handleGoLive(request.id));
+        case "abLoop":
+            return Promise.resolve(handleAbLoop(request.id, request.start ?? null, request.end ?? null));
+        case "loop":
+            return Promise.resolve(handleLoop(request.id, request.loop));
+        case "playbackRate":
+            return Promise.resolve(handlePlaybackRate(request.id, request.rate));
         case "focus":
             return Promise.resolve(handleFocus(request.id));
+        case "pip":
+            return handlePip(request.id);
+        case "snapshot":
+            return Promise.resolve(handleSnapshot(request.id));
+        case "showError":
+            return Promise.resolve(handleShowError(request.message));
+        case "menuTarget":
+            return Promise.resolve(handleMenuTarget(request.targetElementId));
+        case "playQueued":
+            return handlePlayQueued(request.id, request.index);
+        case "mediaSessionAction":
+            return Promise.resolve(handleMediaSessionAction(request.action, request.seekOffset));
         default:
             return Promise.resolve(false);
     }
@@ -280,37 +1577,246 @@ browser.runtime.onMessage.addListener((request) => {
  * --- NEW ---
  * This MutationObserver watches the page for new videos or audio being added,
  * which is common on sites with infinite scrolling (like Instagram Reels or YouTube).
- * When a new element appears, it automatically applies the stored volume.
+ * When a new element appears, it automatically applies the stored volume and playback rate.
+ * It also watches every open shadow root we discover, since mutations there aren't reported on the document.
  */
 const observer = new MutationObserver((mutations) => {
+    let mediaChanged = false;
     for (const mutation of mutations) {
         for (const node of mutation.addedNodes) {
             if (node.nodeType === Node.ELEMENT_NODE) {
                 // Check if the added node is a media element itself
                 if (node.tagName === 'VIDEO' || node.tagName === 'AUDIO') {
-                    applyStoredVolume(node);
+                    applyStoredSettings(node);
+                    mediaChanged = true;
                 }
                 // Also check if any media elements were added within this new node
-                node.querySelectorAll('video, audio').forEach(applyStoredVolume);
+                const nested = node.querySelectorAll('video, audio');
+                nested.forEach(applyStoredSettings);
+                mediaChanged = mediaChanged || nested.length > 0;
+                // And whether the new subtree brought web components with shadow roots along
+                discoverShadowRoots(node);
+            }
+        }
+        for (const node of mutation.removedNodes) {
+            if (node.nodeType === Node.ELEMENT_NODE &&
+                (node.tagName === 'VIDEO' || node.tagName === 'AUDIO' || node.querySelector('video, audio'))) {
+                mediaChanged = true;
             }
         }
     }
+    if (mediaChanged) {
+        scheduleStatePush();
+    }
 });
 
+/**
+ * Walks a subtree (including nested shadow roots) and registers every open shadow root in it.
+ * @param {Node} root - The element, document or shadow root to walk.
+ */
+function discoverShadowRoots(root) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+    for (let node = walker.currentNode; node; node = walker.nextNode()) {
+        if (node.shadowRoot) {
+            registerShadowRoot(node.shadowRoot);
+        }
+    }
+}
+
+/**
+ * Starts tracking an open shadow root: its media is discovered, observed and controlled
+ * like media in the document.
+ * @param {ShadowRoot} root - The shadow root.
+ */
+function registerShadowRoot(root) {
+    if (knownShadowRoots.has(root)) {
+        return;
+    }
+    knownShadowRoots.add(root);
+    shadowRoots.add(new WeakRef(root));
+    observer.observe(root, { childList: true, subtree: true });
+    // Media events aren't composed, so they never reach listeners on the document
+    watchMediaEvents(root);
+    root.querySelectorAll('video, audio').forEach(applyStoredSettings);
+    discoverShadowRoots(root);
+    scheduleStatePush();
+}
+
+/**
+ * Starts tracking a media element that isn't in the DOM, without inserting it.
+ * @param {HTMLMediaElement} element - The detached <audio> or <video> element.
+ */
+function registerDetachedMedia(element) {
+    if (detachedMediaLookup.has(element) || element.isConnected) {
+        return;
+    }
+    detachedMediaLookup.add(element);
+    detachedMedia.add(new WeakRef(element));
+    watchMediaEvents(element);
+    applyStoredSettings(element);
+    scheduleStatePush();
+}
+
+/**
+ * Reports playback changes to the background script so it knows which tab was last active,
+ * without the popup having to be open.
+ */
+function reportMediaActivity(event) {
+    const element = event.target;
+    if (event.type === 'play') {
+        lastPlayedElement = element;
+        // The user has taken over this tab, so don't resume anything later on its behalf
+        autoPausedElements.delete(element);
+    }
+    const playing = [...getAllMediaElements()].some(el => !el.paused);
+    // The ID and position let the background script's play queue tell which media this was
+    browser.runtime.sendMessage({
+        cmd: "mediaActivity",
+        event: event.type,
+        playing,
+        audible: !element.muted && element.volume > 0,
+        id: getMediaId(element),
+        index: findAllMedia().indexOf(element)
+    }).catch(() => {});
+}
+
+/**
+ * Handles every media event we listen for: play/pause/ended feed the background's activity
+ * tracking, and any change schedules a state push to the popup.
+ */
+function onMediaEvent(event) {
+    if (!(event.target instanceof HTMLMediaElement)) {
+        return;
+    }
+    // An A–B loop restarts from A when the media ends (see watchLoop), so it hasn't really finished
+    if (event.type === 'ended' && isAbLooping(event.target)) {
+        scheduleStatePush(event.type);
+        return;
+    }
+    if (event.type === 'play' || event.type === 'pause' || event.type === 'ended') {
+        reportMediaActivity(event);
+    } else if (event.type === 'timeupdate' && hasLoopWrapped(event.target)) {
+        // Lets an end-of-track sleep timer stop media that loops instead of ending
+        reportMediaActivity({ type: 'looped', target: event.target });
+    }
+    if (event.type === 'timeupdate' || event.type === 'pause' || event.type === 'ended') {
+        trackPosition(event);
+    }
+    scheduleStatePush(event.type);
+}
+
+/**
+ * Listens for media events on a document, shadow root or detached element.
+ * Media events don't bubble, so we listen in the capture phase.
+ * @param {EventTarget} target - Where to listen.
+ */
+function watchMediaEvents(target) {
+    MEDIA_EVENTS.forEach(type => target.addEventListener(type, onMediaEvent, true));
+    ['enterpictureinpicture', 'leavepictureinpicture'].forEach(type => {
+        target.addEventListener(type, () => scheduleStatePush(type), true);
+    });
+}
+
+/**
+ * Returns the port to the background script's state store, connecting if needed.
+ * The background tells us over this port whether a popup is currently watching.
+ */
+function getStatePort() {
+    if (!statePort) {
+        statePort = browser.runtime.connect({ name: "media-state" });
+        statePort.onMessage.addListener((message) => {
+            if (message.type === "watch") {
+                stateWatched = message.active;
+                if (stateWatched) {
+                    pushState();
+                }
+            }
+        });
+        statePort.onDisconnect.addListener(() => {
+            statePort = null;
+            stateWatched = false;
+        });
+    }
+    return statePort;
+}
+
+/**
+ * Sends this tab's current media state to the background script right away.
+ */
+function pushState() {
+    clearTimeout(statePushTimer);
+    statePushTimer = null;
+    lastStatePushTime = Date.now();
+    try {
+        getStatePort().postMessage({ type: "state", media: handleQuery() });
+    } catch (e) {
+        // The extension was reloaded or the port closed; the next change will reconnect.
+        statePort = null;
+    }
+}
+
+/**
+ * Schedules a state push, coalescing bursts of events into one message.
+ * @param {string} [eventType] - The media event that triggered it, if any.
+ */
+function scheduleStatePush(eventType) {
+    if (eventType === 'timeupdate') {
+        // Progress only matters to an open popup, and once a second is plenty for it
+        if (!stateWatched || Date.now() - lastStatePushTime < TIMEUPDATE_PUSH_INTERVAL_MS) {
+            return;
+        }
+    }
+    if (!statePushTimer) {
+        statePushTimer = setTimeout(pushState, STATE_PUSH_DELAY_MS);
+    }
+}
+
 // Start observing the entire document body for changes.
-observer.observe(document.body, { childList: true, subtree: true });
+// Some frames (e.g. ones still being written by script) may not have a body yet.
+observer.observe(document.body || document.documentElement, { childList: true, subtree: true });
+watchMediaEvents(document);
+discoverShadowRoots(document);
+
+// attach.js (injected at document_start by inject.js) hands over detached media and shadow roots
+// attached from page scripts. Ask it to replay anything it announced before we were listening.
+document.addEventListener(REGISTER_MEDIA_EVENT, (event) => {
+    if (event.relatedTarget instanceof HTMLMediaElement) {
+        registerDetachedMedia(event.relatedTarget);
+    }
+});
+document.addEventListener(REGISTER_SHADOW_EVENT, (event) => {
+    const host = event.relatedTarget;
+    // The host announces itself as soon as attachShadow() returns, before it has any content
+    if (host && host.shadowRoot) {
+        registerShadowRoot(host.shadowRoot);
+    }
+});
+// Once the user has clicked or typed in the page, media it starts is no longer autoplay
+['pointerdown', 'keydown'].forEach(type => {
+    document.addEventListener(type, (event) => {
+        if (event.isTrusted) {
+            pageActivated = true;
+        }
+    }, true);
+});
+
+// mediasession.js reports the Media Session actions the page handles whenever they change
+document.addEventListener(SESSION_ACTIONS_EVENT, (event) => {
+    try {
+        sessionActions = JSON.parse(event.detail);
+    } catch (e) {
+        sessionActions = [];
+    }
+    scheduleStatePush();
+});
+document.dispatchEvent(new Event(READY_EVENT));
 
 // --- NEW ---
-// Apply stored volume to any media elements that are already on the page when it first loads.
-document.querySelectorAll('video, audio').forEach(applyStoredVolume);
+// Apply stored settings to any media elements that are already on the page when it first loads.
+findAllMedia().forEach(applyStoredSettings);
 
+// Report the initial state so the background store knows about this tab from the start.
+pushState();
 
-console.debug("content.js loaded - media controller ready");
 
-// Inject attach.js for unattached audio elements
-setTimeout(() => {
-    var s = document.createElement("script");
-    s.src = browser.runtime.getURL("attach.js");
-    s.onload = () => s.remove();
-    (document.head || document.documentElement).appendChild(s);
-}, 2000);
+console.debug("content.js loaded - media controller ready");
@@ -0,0 +1,30 @@
+/*global browser, mediaControllerAttach, mediaControllerSession */
+
+// Runs at document_start so the page-context scripts can hook media, shadow DOM and Media Session
+// APIs before the page's own scripts create their players. The main content script (content.js)
+// loads later, at document_idle.
+//
+// A <script src> element runs only once its file has been fetched, by which time the page may
+// already have created players. attach.js and mediasession.js are loaded as content scripts just
+// before this one, so their functions' source is inserted as inline scripts, which run right away.
+// Pages whose Content Security Policy blocks inline scripts fall back to <script src>.
+const INJECTED_EVENT = "media-controller:injected";
+
+[["attach.js", mediaControllerAttach], ["mediasession.js", mediaControllerSession]].forEach(([file, hooks]) => {
+    let ran = false;
+    const onInjected = () => { ran = true; };
+    document.addEventListener(INJECTED_EVENT, onInjected);
+    const inline = document.createElement("script");
+    // Inline scripts run synchronously when inserted; the event tells us the page's CSP let it run
+    inline.textContent = `(${hooks})();\ndocument.dispatchEvent(new Event(${JSON.stringify(INJECTED_EVENT)}));`;
+    (document.head || document.documentElement).appendChild(inline);
+    inline.remove();
+    document.removeEventListener(INJECTED_EVENT, onInjected);
+
+    if (!ran) {
+        const s = document.createElement("script");
+        s.src = browser.runtime.getURL(file);
+        s.onload = () => s.remove();
+        (document.head || document.documentElement).appendChild(s);
+    }
+});
@@ -0,0 +1,57 @@
+// Runs in the page's own context (injected by inject.js at document_start) and records which
+// Media Session action handlers the page registers, so the popup can offer next/previous track
+// buttons and trigger the page's own handlers. Only strings cross the content-script boundary.
+// The file is also loaded as a content script, only so inject.js can insert this function's source
+// inline without fetching it; it calls itself only when the page loads it with <script src>.
+function mediaControllerSession() {
+  const ACTIONS_EVENT = "media-controller:session-actions";
+  const INVOKE_EVENT = "media-controller:session-action";
+  const READY_EVENT = "media-controller:ready";
+
+  if (!("mediaSession" in navigator)) {
+    return;
+  }
+
+  const handlers = new Map(); // action -> handler registered by the page
+
+  const announce = () => {
+    document.dispatchEvent(new CustomEvent(ACTIONS_EVENT, { detail: JSON.stringify([...handlers.keys()]) }));
+  };
+
+  const originalSetActionHandler = MediaSession.prototype.setActionHandler;
+  MediaSession.prototype.setActionHandler = function (action, handler) {
+    // Let the browser validate the action first; unsupported ones throw
+    const result = originalSetActionHandler.apply(this, arguments);
+    if (typeof handler === "function") {
+      handlers.set(action, handler);
+    } else {
+      handlers.delete(action);
+    }
+    announce();
+    return result;
+  };
+
+  document.addEventListener(INVOKE_EVENT, (event) => {
+    let request;
+    try {
+      request = JSON.parse(event.detail);
+    } catch (e) {
+      return;
+    }
+    const handler = handlers.get(request.action);
+    if (handler) {
+      const details = { action: request.action };
+      if (typeof request.seekOffset === "number") {
+        details.seekOffset = request.seekOffset;
+      }
+      handler.call(navigator.mediaSession, details);
+    }
+  });
+
+  // The content script loads after us; tell it what the page registered before it was listening
+  document.addEventListener(READY_EVENT, announce);
+}
+
+if (document.currentScript) {
+  mediaControllerSession();
+}
@@ -0,0 +1,488 @@
+/*global browser */
+
+// Options page: lists every site with saved settings (site rules plus the per-site boost,
+// normalization and EQ), and lets the user edit, delete, search, export and import them. Below
+// them are the saved playback positions of long media.
+
+const sitesBody = document.getElementById("sites");
+const emptyMessage = document.getElementById("empty");
+const searchInput = document.getElementById("search");
+const selectAll = document.getElementById("select-all");
+const deleteSelectedButton = document.getElementById("delete-selected");
+const statusBox = document.getElementById("status");
+const importFile = document.getElementById("import-file");
+const syncToggle = document.getElementById("sync-enabled");
+const syncStatusText = document.getElementById("sync-status");
+const positionsBody = document.getElementById("positions");
+const positionsEmptyMessage = document.getElementById("positions-empty");
+const selectAllPositions = document.getElementById("select-all-positions");
+const deletePositionsButton = document.getElementById("delete-positions");
+const resumeModeSelect = document.getElementById("resume-mode");
+const resumeMinMinutesInput = document.getElementById("resume-min-minutes");
+
+const NORMALIZE_PRESETS = { quiet: "Quiet", standard: "Standard", loud: "Loud" };
+const MAX_BOOST_PERCENT = 300;
+
+/**
+ * Loads every saved setting from the background script and groups it by site.
+ * @returns {Promise<Array<{pattern: string, rule: ?Object, boost: ?number, normalize: ?string, equalizer: ?Object}>>}
+ */
+async function loadSites() {
+    const [rules, boosts, normalize, equalizers] = await Promise.all([
+        browser.runtime.sendMessage({ cmd: "getSiteRules" }),
+        browser.runtime.sendMessage({ cmd: "getAllBoosts" }),
+        browser.runtime.sendMessage({ cmd: "getAllNormalize" }),
+        browser.runtime.sendMessage({ cmd: "getAllEqualizers" })
+    ]);
+
+    const sites = new Map();
+    const getSite = (pattern) => {
+        if (!sites.has(pattern)) {
+            sites.set(pattern, { pattern, rule: null, boost: null, normalize: null, equalizer: null });
+        }
+        return sites.get(pattern);
+    };
+    (rules || []).forEach(rule => { getSite(rule.pattern).rule = rule; });
+    Object.entries(boosts || {}).forEach(([hostname, gain]) => {
+        if (gain !== 1) {
+            getSite(hostname).boost = gain;
+        }
+    });
+    Object.entries(normalize || {}).forEach(([hostname, preset]) => { getSite(hostname).normalize = preset; });
+    Object.entries(equalizers || {}).forEach(([hostname, equalizer]) => { getSite(hostname).equalizer = equalizer; });
+
+    return [...sites.values()].sort((a, b) => a.pattern.localeCompare(b.pattern));
+}
+
+/**
+ * Re-reads the saved settings and rebuilds the table.
+ */
+async function render() {
+    try {
+        const sites = await loadSites();
+        sitesBody.replaceChildren(...sites.map(site => createSiteRow(site)));
+        emptyMessage.classList.toggle("hidden", sites.length > 0);
+        selectAll.checked = false;
+        applySearch();
+        updateDeleteButton();
+    } catch (e) {
+        console.error("Could not load saved sites:", e);
+        showStatus("error", "Could not load saved sites from the extension.");
+    }
+}
+
+/**
+ * Creates the editable table row for one site.
+ * @param {Object} site - The site, as grouped by loadSites. A site without a pattern is a new rule.
+ * @returns {HTMLTableRowElement}
+ */
+function createSiteRow(site) {
+    const row = document.createElement("tr");
+    const settings = site.rule?.settings || {};
+    const isNew = !site.pattern;
+    row.className = "site-row border-b border-slate-700 hover:bg-slate-700/50";
+    row.dataset.pattern = site.pattern;
+
+    const option = (value, label, selected) => `<option value="${value}" ${selected ? "selected" : ""}>${label}</option>`;
+    const inputClass = "bg-slate-700 rounded px-2 py-1 border border-slate-600";
+
+    row.innerHTML = `
+        <td class="p-2">${isNew ? "" : `<input type="checkbox" class="select-site">`}</td>
+        <td class="p-2 font-mono">
+            ${isNew ?
+                `<input data-field="pattern" type="text" placeholder="*.example.com" class="${inputClass} w-48">` :
+                `<span class="break-all">${escapeHtml(site.pattern)}</span>`
+            }
+        </td>
+        <td class="p-2"><input data-field="priority" type="number" step="1" value="${site.rule?.priority ?? 0}" class="${inputClass} w-16"></td>
+        <td class="p-2"><input data-field="volume" type="number" min="0" max="100" step="1" placeholder="—" value="${settings.volume !== undefined ? Math.round(settings.volume * 100) : ""}" class="${inputClass} w-20" title="Volume in %"></td>
+        <td class="p-2">
+            <select data-field="muted" class="${inputClass}">
+                ${option("", "—", settings.muted === undefined)}
+                ${option("true", "Muted", settings.muted === true)}
+                ${option("false", "Unmuted", settings.muted === false)}
+            </select>
+        </td>
+        <td class="p-2"><input data-field="playbackRate" type="number" min="0.25" max="16" step="0.05" placeholder="—" value="${settings.playbackRate ?? ""}" class="${inputClass} w-20" title="Playback speed"></td>
+        <td class="p-2">
+            <select data-field="autoplay" class="${inputClass}">
+                ${option("", "—", settings.autoplay === undefined)}
+                ${option("allow", "Allow", settings.autoplay === "allow")}
+                ${option("block", "Block", settings.autoplay === "block")}
+            </select>
+        </td>
+        <td class="p-2"><input data-field="boost" type="number" min="100" max="${MAX_BOOST_PERCENT}" step="5" placeholder="—" value="${site.boost ? Math.round(site.boost * 100) : ""}" class="${inputClass} w-20" title="Volume boost in %"></td>
+        <td class="p-2">
+            <select data-field="normalize" class="${inputClass}">
+                ${option("", "Off", !site.normalize)}
+                ${Object.entries(NORMALIZE_PRESETS).map(([key, label]) => option(key, label, site.normalize === key)).join("")}
+            </select>
+        </td>
+        <td class="p-2">
+            ${site.equalizer ? `
+                <span class="text-slate-300">${escapeHtml(site.equalizer.preset || "custom")}</span>
+                <button data-action="clear-eq" title="Turn the equalizer off" class="ml-1 text-slate-400 hover:text-red-400">✕</button>
+            ` : `<span class="text-slate-500">Off</span>`}
+        </td>
+        <td class="p-2 whitespace-nowrap">
+            <button data-action="save" class="px-2 py-1 rounded bg-green-700 hover:bg-green-600 transition">Save</button>
+            <button data-action="delete" class="px-2 py-1 rounded bg-slate-600 hover:bg-red-600 transition">${isNew ? "Cancel" : "Delete"}</button>
+        </td>
+    `;
+
+    row.querySelector(".select-site")?.addEventListener("change", updateDeleteButton);
+    row.querySelector('[data-action="save"]').addEventListener("click", () => saveSiteRow(row, site));
+    row.querySelector('[data-action="delete"]').addEventListener("click", async () => {
+        if (isNew) {
+            row.remove();
+            return;
+        }
+        await deleteSites([site.pattern]);
+    });
+    row.querySelector('[data-action="clear-eq"]')?.addEventListener("click", async () => {
+        await browser.runtime.sendMessage({ cmd: "setEqualizer", hostname: site.pattern, equalizer: null });
+        render();
+    });
+
+    return row;
+}
+
+/**
+ * Reads a row's inputs and saves them: the rule settings as a site rule, and boost/normalize per site.
+ * @param {HTMLTableRowElement} row - The edited row.
+ * @param {Object} site - The site the row was built from.
+ */
+async function saveSiteRow(row, site) {
+    const field = (name) => row.querySelector(`[data-field="${name}"]`).value.trim();
+    const pattern = site.pattern || field("pattern").toLowerCase();
+    if (!pattern) {
+        showStatus("error", "Enter a site pattern, e.g. example.com or *.example.com.");
+        return;
+    }
+
+    const settings = {};
+    if (field("volume") !== "") {
+        settings.volume = parseFloat(field("volume")) / 100;
+    }
+    if (field("muted") !== "") {
+        settings.muted = field("muted") === "true";
+    }
+    if (field("playbackRate") !== "") {
+        settings.playbackRate = parseFloat(field("playbackRate"));
+    }
+    if (field("autoplay") !== "") {
+        settings.autoplay = field("autoplay");
+    }
+    const boostPercent = field("boost") === "" ? 100 : parseFloat(field("boost"));
+    if (!(boostPercent >= 100 && boostPercent <= MAX_BOOST_PERCENT)) {
+        showStatus("error", `Boost must be between 100% and ${MAX_BOOST_PERCENT}%.`);
+        return;
+    }
+    // Boost and normalization are looked up by the page's hostname, so they can't use wildcards or paths
+    if (/[*/]/.test(pattern) && (boostPercent !== 100 || field("normalize") !== "")) {
+        showStatus("error", "Boost and normalization can only be saved for a single hostname, not a pattern.");
+        return;
+    }
+
+    try {
+        if (Object.keys(settings).length > 0) {
+            const result = await browser.runtime.sendMessage({
+                cmd: "saveSiteRule",
+                rule: { id: site.rule?.id, pattern, priority: parseInt(field("priority"), 10) || 0, settings }
+            });
+            if (!result?.ok) {
+                showStatus("error", result?.error || "Could not save the rule.");
+                return;
+            }
+        } else if (site.rule) {
+            // Every rule setting was cleared
+            await browser.runtime.sendMessage({ cmd: "deleteSiteRule", id: site.rule.id });
+        }
+        if (boostPercent !== 100 || site.boost) {
+            await browser.runtime.sendMessage({ cmd: "setBoost", hostname: pattern, gain: boostPercent / 100 });
+        }
+        if (field("normalize") !== (site.normalize || "")) {
+            await browser.runtime.sendMessage({ cmd: "setNormalize", hostname: pattern, preset: field("normalize") || null });
+        }
+        showStatus("success", `Saved ${pattern}.`);
+    } catch (e) {
+        console.error("Could not save site settings:", e);
+        showStatus("error", `Could not save ${pattern}.`);
+    }
+    render();
+}
+
+/**
+ * Forgets everything saved for the given sites, after asking the user.
+ * @param {string[]} patterns - The sites to delete.
+ */
+async function deleteSites(patterns) {
+    const label = patterns.length === 1 ? patterns[0] : `${patterns.length} sites`;
+    if (!confirm(`Delete all saved settings for ${label}?`)) {
+        return;
+    }
+    try {
+        await browser.runtime.sendMessage({ cmd: "deleteVolume", hostnames: patterns });
+        showStatus("success", `Deleted ${label}.`);
+    } catch (e) {
+        console.error("Could not delete site settings:", e);
+        showStatus("error", `Could not delete ${label}.`);
+    }
+    render();
+}
+
+/**
+ * Hides the rows that don't match the search box.
+ */
+function applySearch() {
+    const query = searchInput.value.trim().toLowerCase();
+    sitesBody.querySelectorAll(".site-row").forEach(row => {
+        const pattern = row.dataset.pattern;
+        row.classList.toggle("hidden", Boolean(pattern) && !pattern.includes(query));
+    });
+}
+
+/**
+ * Returns the checkboxes of the sites currently shown and selected.
+ * @returns {HTMLInputElement[]}
+ */
+function getSelectedBoxes() {
+    return [...sitesBody.querySelectorAll(".site-row:not(.hidden) .select-site:checked")];
+}
+
+function updateDeleteButton() {
+    const count = getSelectedBoxes().length;
+    deleteSelectedButton.disabled = count === 0;
+    deleteSelectedButton.textContent = count > 0 ? `Delete selected (${count})` : "Delete selected";
+}
+
+/**
+ * Downloads every saved setting as a versioned JSON file.
+ */
+async function exportToFile() {
+    try {
+        const data = await browser.runtime.sendMessage({ cmd: "exportSettings" });
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `media-controller-settings-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (e) {
+        console.error("Could not export settings:", e);
+        showStatus("error", "Could not export settings.");
+    }
+}
+
+/**
+ * Imports a JSON file written by exportToFile and reports any entries that were rejected.
+ * @param {File} file - The chosen file.
+ */
+async function importFromFile(file) {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (e) {
+        showStatus("error", `${file.name} is not valid JSON.`);
+        return;
+    }
+
+    try {
+        const result = await browser.runtime.sendMessage({ cmd: "importSettings", data });
+        if (!result.ok) {
+            showStatus("error", "Import failed.", result.errors);
+        } else if (result.errors.length > 0) {
+            showStatus("error", `Imported ${result.imported} entries. ${result.errors.length} were skipped:`, result.errors);
+        } else {
+            showStatus("success", `Imported ${result.imported} entries.`);
+        }
+    } catch (e) {
+        console.error("Could not import settings:", e);
+        showStatus("error", "Could not import settings.");
+    }
+    render();
+}
+
+/**
+ * Shows the result of an action above the table.
+ * @param {"success"|"error"} type - Decides the colour.
+ * @param {string} message - The summary.
+ * @param {string[]} [details] - Extra lines, e.g. rejected import entries.
+ */
+function showStatus(type, message, details = []) {
+    statusBox.className = `mb-4 p-3 rounded text-sm ${type === "error" ? "bg-red-900/60 text-red-200" : "bg-green-900/60 text-green-200"}`;
+    statusBox.innerHTML = `
+        <div>${escapeHtml(message)}</div>
+        ${details.length ? `<ul class="list-disc ml-5 mt-1">${details.map(line => `<li>${escapeHtml(line)}</li>`).join("")}</ul>` : ""}
+    `;
+}
+
+/**
+ * Shows whether sync is on, when it last ran and whether any sites didn't fit in the sync quota.
+ * @param {Object} status - From the background script's getSyncStatus.
+ */
+function renderSyncStatus(status) {
+    syncToggle.checked = status.enabled;
+    if (!status.enabled) {
+        syncStatusText.textContent = "";
+    } else if (status.error) {
+        syncStatusText.textContent = `Sync failed: ${status.error}`;
+    } else if (status.lastSync) {
+        const trimmed = status.trimmed > 0 ? ` ${status.trimmed} least recently used sites didn't fit in the sync storage and are only kept on this device.` : "";
+        syncStatusText.textContent = `Last synced ${new Date(status.lastSync).toLocaleString()}.${trimmed}`;
+    } else {
+        syncStatusText.textContent = "Waiting for the first sync…";
+    }
+}
+
+/**
+ * Lists the saved playback positions, newest first.
+ */
+async function renderPositions() {
+    let positions = [];
+    try {
+        positions = await browser.runtime.sendMessage({ cmd: "getAllPositions" }) || [];
+    } catch (e) {
+        console.error("Could not load saved positions:", e);
+    }
+
+    positionsBody.innerHTML = positions.map(position => `
+        <tr class="border-b border-slate-700 align-middle" data-key="${escapeHtml(position.key)}">
+            <td class="p-2"><input type="checkbox" class="select-position"></td>
+            <td class="p-2 max-w-md">
+                <div class="truncate" title="${escapeHtml(position.title || position.url)}">${escapeHtml(position.title || position.url)}</div>
+                <a href="${escapeHtml(position.url)}" target="_blank" rel="noopener" class="block truncate text-xs text-slate-400 hover:underline">${escapeHtml(position.url)}</a>
+            </td>
+            <td class="p-2 whitespace-nowrap">${formatTime(position.time)} / ${formatTime(position.duration)}</td>
+            <td class="p-2 whitespace-nowrap text-slate-400">${new Date(position.savedAt).toLocaleString()}</td>
+        </tr>
+    `).join('');
+    positionsEmptyMessage.classList.toggle("hidden", positions.length > 0);
+    selectAllPositions.checked = false;
+    updateDeletePositionsButton();
+}
+
+function updateDeletePositionsButton() {
+    const count = positionsBody.querySelectorAll(".select-position:checked").length;
+    deletePositionsButton.disabled = count === 0;
+    deletePositionsButton.textContent = count > 0 ? `Delete selected (${count})` : "Delete selected";
+}
+
+/**
+ * Forgets the given saved positions.
+ * @param {string[]} keys - The keys of the positions to delete.
+ */
+async function deletePositions(keys) {
+    try {
+        await browser.runtime.sendMessage({ cmd: "deletePositions", keys });
+    } catch (e) {
+        console.error("Could not delete saved positions:", e);
+        showStatus("error", "Could not delete the saved positions.");
+    }
+    renderPositions();
+}
+
+/**
+ * Shows the resume settings, which are part of the global playback settings.
+ */
+async function renderResumeSettings() {
+    try {
+        const settings = await browser.runtime.sendMessage({ cmd: "getPlaybackSettings" });
+        resumeModeSelect.value = settings.resumeMode;
+        resumeMinMinutesInput.value = settings.resumeMinMinutes;
+    } catch (e) {
+        console.error("Could not load resume settings:", e);
+    }
+}
+
+/**
+ * Formats seconds as "m:ss", or "h:mm:ss" for an hour or more.
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatTime(seconds) {
+    if (!isFinite(seconds)) {
+        return "--:--";
+    }
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = String(Math.floor(seconds % 60)).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+searchInput.addEventListener("input", () => {
+    applySearch();
+    updateDeleteButton();
+});
+selectAll.addEventListener("change", () => {
+    sitesBody.querySelectorAll(".site-row:not(.hidden) .select-site").forEach(box => { box.checked = selectAll.checked; });
+    updateDeleteButton();
+});
+deleteSelectedButton.addEventListener("click", () => {
+    const patterns = getSelectedBoxes().map(box => box.closest(".site-row").dataset.pattern);
+    if (patterns.length > 0) {
+        deleteSites(patterns);
+    }
+});
+document.getElementById("add-site").addEventListener("click", () => {
+    const row = createSiteRow({ pattern: "", rule: null, boost: null, normalize: null, equalizer: null });
+    sitesBody.prepend(row);
+    emptyMessage.classList.add("hidden");
+    row.querySelector('[data-field="pattern"]').focus();
+});
+syncToggle.addEventListener("change", async () => {
+    syncToggle.disabled = true;
+    try {
+        renderSyncStatus(await browser.runtime.sendMessage({ cmd: "setSyncEnabled", enabled: syncToggle.checked }));
+        // Turning sync on may have brought in other devices' sites
+        render();
+    } catch (e) {
+        console.error("Could not change sync setting:", e);
+        showStatus("error", "Could not change the sync setting.");
+    }
+    syncToggle.disabled = false;
+});
+document.getElementById("export").addEventListener("click", exportToFile);
+document.getElementById("import").addEventListener("click", () => importFile.click());
+importFile.addEventListener("change", () => {
+    if (importFile.files[0]) {
+        importFromFile(importFile.files[0]);
+    }
+    importFile.value = "";
+});
+
+positionsBody.addEventListener("change", updateDeletePositionsButton);
+selectAllPositions.addEventListener("change", () => {
+    positionsBody.querySelectorAll(".select-position").forEach(box => { box.checked = selectAllPositions.checked; });
+    updateDeletePositionsButton();
+});
+deletePositionsButton.addEventListener("click", () => {
+    const keys = [...positionsBody.querySelectorAll(".select-position:checked")].map(box => box.closest("tr").dataset.key);
+    deletePositions(keys);
+});
+document.getElementById("clear-positions").addEventListener("click", () => {
+    const keys = [...positionsBody.querySelectorAll("tr")].map(row => row.dataset.key);
+    if (keys.length > 0 && confirm(`Forget all ${keys.length} saved positions?`)) {
+        deletePositions(keys);
+    }
+});
+resumeModeSelect.addEventListener("change", () => {
+    browser.runtime.sendMessage({ cmd: "setPlaybackSettings", settings: { resumeMode: resumeModeSelect.value } });
+});
+resumeMinMinutesInput.addEventListener("change", () => {
+    const minutes = Math.min(600, Math.max(1, Math.round(Number(resumeMinMinutesInput.value)) || 1));
+    resumeMinMinutesInput.value = minutes;
+    browser.runtime.sendMessage({ cmd: "setPlaybackSettings", settings: { resumeMinMinutes: minutes } });
+});
+
+render();
+renderPositions();
+renderResumeSettings();
+browser.runtime.sendMessage({ cmd: "getSyncStatus" }).then(renderSyncStatus).catch(() => {});
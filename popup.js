@@ -2,25 +2,84 @@
 
 // --- STATE & CONFIG ---
 const appContainer = document.getElementById("app-container");
-let refreshInterval;
-let isUserInteracting = false; // Flag to pause updates when user is using a slider
+const settingsBar = document.getElementById("settings-bar");
+const sleepTimerBar = document.getElementById("sleep-timer");
+const queuePanel = document.getElementById("queue-panel");
+let isUserInteracting = false; // Flag set while the user is using a slider or picker
+let activeControl = null; // The control being used; the card or header holding it isn't rebuilt until released
 let interactionTimeout;
-const REFRESH_RATE_MS = 1500; // How often to check for media updates
-const INTERACTION_PAUSE_MS = 500; // How long to wait after slider use before resuming updates
+const INTERACTION_PAUSE_MS = 500; // How long to wait after slider use before re-rendering held-back changes
+const mediaState = new Map(); // Pushed by the background store: tabId -> { tab, media }
+let activeTabId = null; // The tab that was active when the popup opened
+let statePort = null;
+let renderScheduled = false;
 let siteVolumes = new Map(); // Stores the "locked" volume for each hostname, synced from background
+// The settings the background's site rules resolve to for each tab: tabId -> { url, settings }.
+// Cleared whenever saved site settings change.
+const resolvedSiteSettings = new Map();
+let siteRates = new Map(); // Stores the default playback rate for each hostname, synced from background
+let siteBoosts = new Map(); // Stores the Web Audio gain (1 = 100%) for each hostname, synced from background
+let siteNormalize = new Map(); // Stores the loudness normalize preset for each hostname (absent = off), synced from background
+const NORMALIZE_PRESETS = { quiet: "Quiet", standard: "Standard", loud: "Loud" };
+let siteEqualizers = new Map(); // Stores { preset, bands } for each hostname with an active EQ, synced from background
+let eqPresets = new Map(); // The user's saved EQ presets (name -> bands), synced from background
+const openEqPanels = new Set(); // Hostnames whose EQ panel is expanded, kept across re-renders
+const EQ_BAND_FREQUENCIES = {
+    5: [60, 230, 910, 3600, 14000],
+    10: [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000]
+};
+const BUILTIN_EQ_PRESETS = {
+    flat: { label: "Flat", gains: { 5: [0, 0, 0, 0, 0], 10: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] } },
+    bassBoost: { label: "Bass Boost", gains: { 5: [6, 3, 0, 0, 0], 10: [6, 6, 5, 3, 1, 0, 0, 0, 0, 0] } },
+    voiceClarity: { label: "Voice Clarity", gains: { 5: [-4, -1, 3, 4, 1], 10: [-5, -4, -3, -1, 1, 3, 4, 4, 2, 0] } }
+};
+const EQ_MAX_GAIN_DB = 12;
+const MAX_SITE_VOLUME_PERCENT = 300; // Values above 100% are applied through a Web Audio gain stage
+const BOOST_TOLERANCE = 1e-3;
+const LIVE_EDGE_SECONDS = 15; // A live stream this close to the end of its seekable window counts as live
+const SESSION_SEEK_SECONDS = 10; // How far the page's own seek buttons are asked to jump
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2, 2.5, 3];
+const mediaErrors = new Map(); // Recent per-media error messages, keyed by "tabId:frameId:mediaId", so they survive re-renders
+const MEDIA_ERROR_DISPLAY_MS = 5000; // How long an error message stays on a media card
+let sleepTimer = null; // The background's sleep timer: { mode, endsAt, fadeStartsAt, tabId }, or null
+let sleepCountdownInterval = null;
+const SLEEP_TIMER_MINUTES = [15, 30, 60];
+const SLEEP_EXTEND_MINUTES = 10;
+let playQueue = []; // The background's cross-tab play queue: [{ key, tabId, frameId, mediaId, index, url, title }]
 
 // --- CORE LOGIC ---
 
 /**
- * Loads all volume settings from the persistent background script.
+ * Loads all volume and playback rate settings from the persistent background script.
  */
 async function syncVolumesFromBackground() {
-    if (isUserInteracting) return; // Don't sync while user is sliding
     try {
-        const volumesObject = await browser.runtime.sendMessage({ cmd: "getAllVolumes" });
+        const [volumesObject, ratesObject, boostsObject, normalizeObject, equalizersObject, eqPresetsObject] = await Promise.all([
+            browser.runtime.sendMessage({ cmd: "getAllVolumes" }),
+            browser.runtime.sendMessage({ cmd: "getAllRates" }),
+            browser.runtime.sendMessage({ cmd: "getAllBoosts" }),
+            browser.runtime.sendMessage({ cmd: "getAllNormalize" }),
+            browser.runtime.sendMessage({ cmd: "getAllEqualizers" }),
+            browser.runtime.sendMessage({ cmd: "getEqPresets" })
+        ]);
         if (volumesObject) {
             siteVolumes = new Map(Object.entries(volumesObject));
         }
+        if (ratesObject) {
+            siteRates = new Map(Object.entries(ratesObject));
+        }
+        if (boostsObject) {
+            siteBoosts = new Map(Object.entries(boostsObject));
+        }
+        if (normalizeObject) {
+            siteNormalize = new Map(Object.entries(normalizeObject));
+        }
+        if (equalizersObject) {
+            siteEqualizers = new Map(Object.entries(equalizersObject));
+        }
+        if (eqPresetsObject) {
+            eqPresets = new Map(Object.entries(eqPresetsObject));
+        }
     } catch (e) {
         console.error("Could not sync volumes from background script:", e);
     }
@@ -28,47 +87,123 @@ async function syncVolumesFromBackground() {
 
 
 /**
- * Main function to refresh the media list displayed in the popup.
- * This is the entry point for all UI updates.
+ * Subscribes to the background script's media state store. The first message is a snapshot of
+ * every tab, then we get one message per tab whenever its media changes.
  */
-async function refreshMediaList() {
-    if (isUserInteracting) {
-        return;
+function subscribeToMediaState() {
+    statePort = browser.runtime.connect({ name: "popup" });
+    statePort.onMessage.addListener((message) => {
+        switch (message.type) {
+            case "snapshot":
+                mediaState.clear();
+                message.tabs.forEach(({ tab, media }) => {
+                    mediaState.set(tab.id, { tab, media });
+                    enforceLockedSettings(tab, media);
+                });
+                playQueue = message.queue || [];
+                renderQueue();
+                break;
+            case "tabState":
+                mediaState.set(message.tab.id, { tab: message.tab, media: message.media });
+                enforceLockedSettings(message.tab, message.media);
+                break;
+            case "tabRemoved":
+                mediaState.delete(message.tabId);
+                break;
+            case "sleepTimer":
+                sleepTimer = message.sleepTimer;
+                renderSleepTimer();
+                return;
+            case "queue":
+                playQueue = message.queue;
+                renderQueue();
+                return;
+            case "siteSettings":
+                // Saved somewhere else (shortcut, context menu, options page, sync); headers whose key changed are rebuilt
+                resolvedSiteSettings.clear();
+                syncVolumesFromBackground().then(scheduleRender);
+                return;
+        }
+        scheduleRender();
+    });
+    statePort.onDisconnect.addListener(() => {
+        statePort = null;
+        renderErrorState();
+    });
+}
+
+/**
+ * Returns the settings the site rules give a tab's page (the highest-priority, most specific rule
+ * for each setting), asking the background script only when the tab's URL changed.
+ * @param {Object} tab - The browser tab object.
+ * @returns {Promise<Object>}
+ */
+async function getResolvedSiteSettings(tab) {
+    const cached = resolvedSiteSettings.get(tab.id);
+    if (cached && cached.url === tab.url) {
+        return cached.settings;
     }
+    const settings = await browser.runtime.sendMessage({ cmd: "getResolvedSiteSettings", url: tab.url });
+    resolvedSiteSettings.set(tab.id, { url: tab.url, settings });
+    return settings;
+}
 
+/**
+ * Re-applies the site's locked volume and boost if the page somehow changed them. The volume is
+ * only locked when a site rule for the page sets one.
+ * @param {Object} tab - The browser tab object.
+ * @param {Array} mediaElements - Array of media info objects for the tab.
+ */
+async function enforceLockedSettings(tab, mediaElements) {
+    let hostname;
+    let settings;
     try {
-        // Sync volumes first to ensure we have the latest settings
-        await syncVolumesFromBackground();
-
-        const allTabs = await browser.tabs.query({ url: ["<all_urls>"], discarded: false });
-        const activeTabs = await browser.tabs.query({ active: true, currentWindow: true });
-        const activeTab = activeTabs[0];
-
-        const mediaTabs = [];
-        const promises = allTabs.map(async (tab) => {
-            try {
-                const mediaElements = await browser.tabs.sendMessage(tab.id, { cmd: "query" });
-                if (mediaElements && mediaElements.length > 0) {
-                    const hostname = new URL(tab.url).hostname;
-                    // This logic remains useful to enforce the volume if the page somehow changed it.
-                    if (siteVolumes.has(hostname)) {
-                        const lockedVolume = siteVolumes.get(hostname);
-                        mediaElements.forEach(media => {
-                            if (media.volume !== lockedVolume) {
-                                browser.tabs.sendMessage(tab.id, { cmd: "volume", id: media.id, volume: lockedVolume });
-                            }
-                        });
-                    }
-                    mediaTabs.push({ tab, mediaElements });
-                }
-            } catch (e) {
-                // Silently ignore tabs that can't be accessed.
+        hostname = new URL(tab.url).hostname;
+        settings = await getResolvedSiteSettings(tab);
+    } catch (e) {
+        return;
+    }
+    // The sleep timer is lowering volumes on purpose; don't undo it
+    if (settings.volume !== undefined && !isSleepFading()) {
+        const lockedVolume = settings.volume;
+        mediaElements.forEach(media => {
+            if (media.volume !== lockedVolume) {
+                browser.tabs.sendMessage(tab.id, { cmd: "volume", id: media.id, volume: lockedVolume }, { frameId: media.frameId }).catch(() => {});
             }
         });
-        
-        await Promise.all(promises);
+    }
+    if (siteBoosts.has(hostname)) {
+        const lockedBoost = siteBoosts.get(hostname);
+        mediaElements.forEach(media => {
+            // The reported gain is a float32 AudioParam value, so 1.3 comes back as 1.2999999523...
+            if (Math.abs(media.boost - lockedBoost) > BOOST_TOLERANCE && !media.boostBlocked) {
+                browser.tabs.sendMessage(tab.id, { cmd: "boost", id: media.id, gain: lockedBoost }, { frameId: media.frameId }).catch(() => {});
+            }
+        });
+    }
+}
+
+/** Coalesces a burst of state messages into one render per frame. */
+function scheduleRender() {
+    if (renderScheduled) return;
+    renderScheduled = true;
+    requestAnimationFrame(() => {
+        renderScheduled = false;
+        renderMediaState();
+    });
+}
+
+/**
+ * Groups the current media state by site and updates the UI.
+ * If the active tab has media, only that site is shown.
+ */
+function renderMediaState() {
+    try {
+        const mediaTabs = [...mediaState.values()]
+            .filter(({ media }) => media && media.length > 0)
+            .map(({ tab, media }) => ({ tab, mediaElements: media }));
 
-        const activeTabWithMedia = mediaTabs.find(mt => mt.tab.id === activeTab.id);
+        const activeTabWithMedia = mediaTabs.find(mt => mt.tab.id === activeTabId);
 
         let sites = new Map();
         if (activeTabWithMedia) {
@@ -87,11 +222,33 @@ async function refreshMediaList() {
         updateUI(sites);
 
     } catch (error) {
-        console.error("Error refreshing media list:", error);
+        console.error("Error rendering media list:", error);
         renderErrorState();
     }
 }
 
+/**
+ * Returns the current tabs for a site from the state store, so controls that outlive
+ * a render always act on the tabs that are there now.
+ * @param {string} hostname - The hostname of the site.
+ * @returns {Array} Tab data ({ tab, mediaElements }) for the site.
+ */
+function getSiteTabs(hostname) {
+    return [...mediaState.values()]
+        .filter(({ tab, media }) => media?.length > 0 && new URL(tab.url).hostname === hostname)
+        .map(({ tab, media }) => ({ tab, mediaElements: media }));
+}
+
+/**
+ * Returns every frame with media for a site, for site-wide commands that each frame applies itself.
+ * @param {string} hostname - The hostname of the site.
+ * @returns {Array<{tab: Object, frameId: number}>}
+ */
+function getSiteFrames(hostname) {
+    return getSiteTabs(hostname).flatMap(({ tab, mediaElements }) =>
+        [...new Set(mediaElements.map(media => media.frameId))].map(frameId => ({ tab, frameId })));
+}
+
 /**
  * Intelligently updates the DOM to reflect the current state of media, grouped by site.
  * @param {Map<string, Array>} sites - A map where keys are hostnames and values are arrays of tab data.
@@ -130,6 +287,205 @@ function updateUI(sites) {
 
 // --- UI RENDERING ---
 
+/**
+ * Renders the global playback settings (one player at a time, resume, per-site exclusion).
+ * These don't change while the popup is open, so this runs once rather than on every state update.
+ */
+async function renderSettingsBar() {
+    let settings;
+    let activeHostname = null;
+    try {
+        settings = await browser.runtime.sendMessage({ cmd: "getPlaybackSettings" });
+        const [activeTab] = await browser.tabs.query({ active: true, currentWindow: true });
+        activeHostname = activeTab?.url ? new URL(activeTab.url).hostname : null;
+    } catch (e) {
+        console.error("Could not load playback settings:", e);
+        settingsBar.remove();
+        return;
+    }
+
+    const excluded = activeHostname && settings.excludedSites.includes(activeHostname);
+    settingsBar.innerHTML = `
+        <summary class="cursor-pointer select-none px-2 py-1.5 font-semibold">Playback settings</summary>
+        <div class="px-2 pb-2 space-y-1">
+            <label class="flex items-center justify-between space-x-2">
+                <span>When media starts, other tabs</span>
+                <select data-setting="exclusive" class="bg-slate-800 text-slate-200 rounded px-1 py-0.5 border border-slate-500">
+                    <option value="off" ${settings.exclusiveMode === 'off' ? 'selected' : ''}>keep playing</option>
+                    <option value="pause" ${settings.exclusiveMode === 'pause' ? 'selected' : ''}>pause</option>
+                    <option value="duck" ${settings.exclusiveMode === 'duck' ? 'selected' : ''}>get quieter (duck)</option>
+                </select>
+            </label>
+            <label class="resume-setting flex items-center space-x-2 cursor-pointer ${settings.exclusiveMode === 'pause' ? '' : 'hidden'}">
+                <input type="checkbox" data-setting="resume" ${settings.resumeOthers ? 'checked' : ''}>
+                <span>Resume paused tabs when that media stops</span>
+            </label>
+            <label class="duck-setting flex items-center space-x-2 ${settings.exclusiveMode === 'duck' ? '' : 'hidden'}">
+                <span class="flex-shrink-0">Ducked volume</span>
+                <input type="range" data-setting="duck-level" min="0" max="100" step="5" value="${Math.round(settings.duckLevel * 100)}">
+                <span class="duck-level-label w-10 text-right flex-shrink-0">${Math.round(settings.duckLevel * 100)}%</span>
+            </label>
+            ${activeHostname ? `
+            <label class="flex items-center space-x-2 cursor-pointer">
+                <input type="checkbox" data-setting="exclude" ${excluded ? 'checked' : ''}>
+                <span>Never pause or be paused by ${escapeHtml(activeHostname)}</span>
+            </label>` : ''}
+            <button data-setting="manage-sites" class="text-sky-400 hover:underline">Manage saved sites…</button>
+        </div>
+    `;
+
+    settingsBar.querySelector('[data-setting="exclusive"]').addEventListener('change', e => {
+        const exclusiveMode = e.target.value;
+        settingsBar.querySelector('.resume-setting').classList.toggle('hidden', exclusiveMode !== 'pause');
+        settingsBar.querySelector('.duck-setting').classList.toggle('hidden', exclusiveMode !== 'duck');
+        browser.runtime.sendMessage({ cmd: "setPlaybackSettings", settings: { exclusiveMode } });
+    });
+    const duckLevelSlider = settingsBar.querySelector('[data-setting="duck-level"]');
+    duckLevelSlider.addEventListener('input', () => {
+        settingsBar.querySelector('.duck-level-label').textContent = `${duckLevelSlider.value}%`;
+    });
+    duckLevelSlider.addEventListener('change', () => {
+        browser.runtime.sendMessage({ cmd: "setPlaybackSettings", settings: { duckLevel: duckLevelSlider.value / 100 } });
+    });
+    settingsBar.querySelector('[data-setting="resume"]').addEventListener('change', e => {
+        browser.runtime.sendMessage({ cmd: "setPlaybackSettings", settings: { resumeOthers: e.target.checked } });
+    });
+    settingsBar.querySelector('[data-setting="manage-sites"]').addEventListener('click', () => {
+        browser.runtime.openOptionsPage();
+        window.close();
+    });
+    settingsBar.querySelector('[data-setting="exclude"]')?.addEventListener('change', e => {
+        const excludedSites = settings.excludedSites.filter(site => site !== activeHostname);
+        if (e.target.checked) {
+            excludedSites.push(activeHostname);
+        }
+        settings.excludedSites = excludedSites;
+        browser.runtime.sendMessage({ cmd: "setPlaybackSettings", settings: { excludedSites } });
+    });
+}
+
+/**
+ * Checks whether the sleep timer is currently fading media out.
+ * @returns {boolean}
+ */
+function isSleepFading() {
+    return sleepTimer?.mode === 'time' && Date.now() >= sleepTimer.fadeStartsAt;
+}
+
+/**
+ * Renders the sleep timer: start buttons when it's off, otherwise the countdown with extend and cancel.
+ */
+function renderSleepTimer() {
+    clearInterval(sleepCountdownInterval);
+    const button = (action, label, title) =>
+        `<button data-action="${action}" title="${title}" class="px-2 py-0.5 rounded bg-slate-600 hover:bg-slate-500 transition">${label}</button>`;
+
+    if (!sleepTimer) {
+        sleepTimerBar.innerHTML = `
+            <span class="font-semibold flex-grow">Sleep timer</span>
+            <div class="flex items-center space-x-1">
+                ${SLEEP_TIMER_MINUTES.map(minutes => button(`start-${minutes}`, `${minutes}m`, `Stop all media in ${minutes} minutes`)).join('')}
+                ${button('start-end-of-track', 'End of track', 'Stop when the current track ends')}
+            </div>
+        `;
+        SLEEP_TIMER_MINUTES.forEach(minutes => {
+            sleepTimerBar.querySelector(`[data-action="start-${minutes}"]`).addEventListener('click', () => {
+                updateSleepTimer({ cmd: "startSleepTimer", minutes });
+            });
+        });
+        sleepTimerBar.querySelector('[data-action="start-end-of-track"]').addEventListener('click', () => {
+            updateSleepTimer({ cmd: "startSleepTimer", endOfTrack: true });
+        });
+        return;
+    }
+
+    sleepTimerBar.innerHTML = `
+        <span class="sleep-countdown font-semibold flex-grow text-amber-300"></span>
+        <div class="flex items-center space-x-1">
+            ${sleepTimer.mode === 'time' ? button('extend', `+${SLEEP_EXTEND_MINUTES}m`, `Play ${SLEEP_EXTEND_MINUTES} minutes longer`) : ''}
+            ${button('cancel', 'Cancel', 'Cancel the sleep timer')}
+        </div>
+    `;
+    sleepTimerBar.querySelector('[data-action="extend"]')?.addEventListener('click', () => {
+        updateSleepTimer({ cmd: "extendSleepTimer", minutes: SLEEP_EXTEND_MINUTES });
+    });
+    sleepTimerBar.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+        updateSleepTimer({ cmd: "cancelSleepTimer" });
+    });
+
+    const countdown = sleepTimerBar.querySelector('.sleep-countdown');
+    if (sleepTimer.mode === 'endOfTrack') {
+        countdown.textContent = "Stopping after the current track";
+        return;
+    }
+    const tick = () => {
+        const remaining = Math.max((sleepTimer.endsAt - Date.now()) / 1000, 0);
+        countdown.textContent = `${isSleepFading() ? 'Fading out' : 'Stopping in'} ${formatTime(remaining)}`;
+    };
+    tick();
+    sleepCountdownInterval = setInterval(tick, 1000);
+}
+
+/**
+ * Sends a sleep timer command to the background script and shows the resulting timer.
+ * @param {Object} message - startSleepTimer, extendSleepTimer or cancelSleepTimer.
+ */
+async function updateSleepTimer(message) {
+    try {
+        const result = await browser.runtime.sendMessage(message);
+        if (result?.ok) {
+            sleepTimer = result.sleepTimer;
+            renderSleepTimer();
+        } else {
+            sleepTimerBar.querySelector('.font-semibold').textContent = result?.error || "Could not start the sleep timer.";
+        }
+    } catch (e) {
+        console.error("Could not update the sleep timer:", e);
+    }
+}
+
+/**
+ * Renders the play queue: what plays next when the current queued media ends.
+ */
+function renderQueue() {
+    queuePanel.classList.toggle('hidden', playQueue.length === 0);
+    if (playQueue.length === 0) {
+        queuePanel.innerHTML = '';
+        return;
+    }
+    queuePanel.innerHTML = `
+        <div class="flex items-center justify-between px-2 py-1.5">
+            <span class="font-semibold">Queue (${playQueue.length})</span>
+            <button data-action="clear-queue" class="px-2 py-0.5 rounded bg-slate-600 hover:bg-slate-500 transition">Clear</button>
+        </div>
+        <ol class="px-2 pb-2 space-y-1">
+            ${playQueue.map((item, i) => `
+                <li class="flex items-center space-x-2" data-key="${item.key}">
+                    <span class="w-4 text-right text-slate-400 flex-shrink-0">${i + 1}.</span>
+                    <button data-action="show" class="flex-grow min-w-0 text-left truncate hover:underline" title="${escapeHtml(item.url)}">
+                        ${escapeHtml(item.title || item.url)}
+                        ${item.mediaId === null ? '<span class="text-slate-400">(reloaded)</span>' : ''}
+                    </button>
+                    <button data-action="remove" title="Remove from queue" class="text-slate-400 hover:text-red-400 flex-shrink-0">✕</button>
+                </li>
+            `).join('')}
+        </ol>
+    `;
+
+    queuePanel.querySelector('[data-action="clear-queue"]').addEventListener('click', () => {
+        browser.runtime.sendMessage({ cmd: "clearQueue" });
+    });
+    queuePanel.querySelectorAll('li').forEach((li, i) => {
+        const item = playQueue[i];
+        li.querySelector('[data-action="show"]').addEventListener('click', () => {
+            browser.tabs.update(item.tabId, { active: true });
+        });
+        li.querySelector('[data-action="remove"]').addEventListener('click', () => {
+            browser.runtime.sendMessage({ cmd: "removeFromQueue", key: item.key });
+        });
+    });
+}
+
 /** Renders the view shown when no media is detected. */
 function renderEmptyState() {
     appContainer.innerHTML = `
@@ -179,64 +535,327 @@ function createSiteSection(hostname, tabs) {
 
 /**
  * Creates the header for a site section, now including a master volume control.
+ * The slider goes above 100%, in which case the media volume stays at 100% and the rest is a Web Audio boost.
  * @param {string} hostname - The hostname of the site.
  * @param {Array} tabs - The array of tab data for this site.
  * @returns {HTMLElement} The created site header element.
  */
 function createSiteHeader(hostname, tabs) {
     const header = document.createElement('div');
-    header.className = 'flex items-center justify-between p-2 border-b border-slate-600 bg-slate-800';
+    header.className = 'site-header p-2 border-b border-slate-600 bg-slate-800';
+    header.dataset.renderKey = siteHeaderKey(hostname, tabs);
+
+    const row = document.createElement('div');
+    row.className = 'flex items-center justify-between';
 
     const title = document.createElement('h3');
     title.className = 'text-sm font-bold text-slate-200';
     title.textContent = hostname;
 
     const volumeControl = document.createElement('div');
-    volumeControl.className = 'flex items-center w-1/2 max-w-[140px]';
+    volumeControl.className = 'flex items-center w-1/2 max-w-[170px]';
     
     // Use the synced volume, or fallback to the media's current volume or 100%
     const initialVolume = siteVolumes.get(hostname) ?? tabs[0]?.mediaElements[0]?.volume ?? 1;
+    const initialBoost = siteBoosts.get(hostname) ?? 1;
+    const initialPercent = Math.round(initialVolume * initialBoost * 100);
     
     volumeControl.innerHTML = `
-        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="currentColor" class="text-slate-400 mr-2"><path d="M3 9v6h4l5 5V4L7 9H3zm13.5 3c0-1.77-1.02-3.29-2.5-4.03v8.05c1.48-.73 2.5-2.25 2.5-4.02zM14 3.23v2.06c2.89.86 5 3.54 5 6.71s-2.11 5.85-5 6.71v2.06c4.01-.91 7-4.49 7-8.77s-2.99-7.86-7-8.77z"/></svg>
-        <input type="range" class="site-volume-slider w-full" min="0" max="100" value="${initialVolume * 100}">
+        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="currentColor" class="text-slate-400 mr-2 flex-shrink-0"><path d="M3 9v6h4l5 5V4L7 9H3zm13.5 3c0-1.77-1.02-3.29-2.5-4.03v8.05c1.48-.73 2.5-2.25 2.5-4.02zM14 3.23v2.06c2.89.86 5 3.54 5 6.71s-2.11 5.85-5 6.71v2.06c4.01-.91 7-4.49 7-8.77s-2.99-7.86-7-8.77z"/></svg>
+        <input type="range" class="site-volume-slider w-full" min="0" max="${MAX_SITE_VOLUME_PERCENT}" value="${initialPercent}">
+        <span class="site-volume-label text-xs w-10 text-right ml-1 flex-shrink-0 ${initialPercent > 100 ? 'text-orange-400' : 'text-slate-400'}">${initialPercent}%</span>
     `;
 
+    const boostWarning = document.createElement('div');
+    boostWarning.className = 'boost-warning text-xs text-orange-400 mt-1';
+    const boostBlocked = tabs.some(({ mediaElements }) => mediaElements.some(media => media.boostBlocked));
+    if (!boostBlocked || initialBoost <= 1) {
+        boostWarning.classList.add('hidden');
+    }
+    boostWarning.textContent = "Some media here comes from another origin and can't be boosted above 100%. Using normal volume.";
+
     const volumeSlider = volumeControl.querySelector('.site-volume-slider');
+    const volumeLabel = volumeControl.querySelector('.site-volume-label');
     volumeSlider.addEventListener('mousedown', startInteraction);
     volumeSlider.addEventListener('touchstart', startInteraction);
     volumeSlider.addEventListener('input', () => {
-        const newVolume = volumeSlider.value / 100;
+        const percent = parseInt(volumeSlider.value, 10);
+        const newVolume = Math.min(percent, 100) / 100;
+        const newBoost = Math.max(percent, 100) / 100;
+        volumeLabel.textContent = `${percent}%`;
+        volumeLabel.classList.toggle('text-orange-400', percent > 100);
+        volumeLabel.classList.toggle('text-slate-400', percent <= 100);
         
         // Update local state for immediate UI feedback
         siteVolumes.set(hostname, newVolume);
+        siteBoosts.set(hostname, newBoost);
+        resolvedSiteSettings.clear();
 
         // **MODIFIED**: Send the new volume to the background script for persistence
         browser.runtime.sendMessage({ cmd: "setVolume", hostname, volume: newVolume });
+        browser.runtime.sendMessage({ cmd: "setBoost", hostname, gain: newBoost });
 
         // Update all media on the page for this site
-        tabs.forEach(({ tab, mediaElements }) => {
-            mediaElements.forEach(media => {
-                browser.tabs.sendMessage(tab.id, { cmd: "volume", id: media.id, volume: newVolume });
+        getSiteTabs(hostname).forEach(({ tab, mediaElements }) => {
+            mediaElements.forEach(async media => {
+                browser.tabs.sendMessage(tab.id, { cmd: "volume", id: media.id, volume: newVolume }, { frameId: media.frameId }).catch(() => {});
+                try {
+                    const result = await browser.tabs.sendMessage(tab.id, { cmd: "boost", id: media.id, gain: newBoost }, { frameId: media.frameId });
+                    if (result && !result.ok && newBoost > 1) {
+                        boostWarning.textContent = result.error;
+                        boostWarning.classList.remove('hidden');
+                    } else if (newBoost <= 1) {
+                        boostWarning.classList.add('hidden');
+                    }
+                } catch (e) {
+                    // The tab may have navigated away; the next state update will catch up.
+                }
             });
         });
     });
 
-    header.appendChild(title);
-    header.appendChild(volumeControl);
+    row.appendChild(title);
+    row.appendChild(volumeControl);
+    header.appendChild(row);
+    header.appendChild(boostWarning);
+    header.appendChild(createNormalizeControl(hostname, tabs));
+    header.appendChild(createEqualizerPanel(hostname, tabs));
     return header;
 }
 
+/**
+ * Creates the loudness normalization toggle and preset picker for a site header.
+ * @param {string} hostname - The hostname of the site.
+ * @param {Array} tabs - The array of tab data for this site.
+ * @returns {HTMLElement} The created control row.
+ */
+function createNormalizeControl(hostname, tabs) {
+    const control = document.createElement('div');
+    control.className = 'normalize-control mt-1';
+
+    const currentPreset = siteNormalize.get(hostname) ?? null;
+    const normalizeBlocked = tabs.some(({ mediaElements }) => mediaElements.some(media => media.normalizeBlocked));
+
+    control.innerHTML = `
+        <div class="flex items-center justify-end space-x-2 text-xs text-slate-400">
+            <label class="flex items-center space-x-1 cursor-pointer" title="Even out loudness with a compressor">
+                <input type="checkbox" class="normalize-toggle" ${currentPreset ? 'checked' : ''}>
+                <span>Normalize</span>
+            </label>
+            <select class="normalize-preset bg-slate-700 text-slate-200 rounded px-1 py-0.5 border border-slate-500" ${currentPreset ? '' : 'disabled'}>
+                ${Object.entries(NORMALIZE_PRESETS).map(([value, label]) =>
+                    `<option value="${value}" ${value === (currentPreset ?? 'standard') ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+        </div>
+        <div class="normalize-warning text-xs text-orange-400 mt-1 ${normalizeBlocked ? '' : 'hidden'}">Some media here comes from another origin and can't be normalized.</div>
+    `;
+
+    const toggle = control.querySelector('.normalize-toggle');
+    const presetSelect = control.querySelector('.normalize-preset');
+    const warning = control.querySelector('.normalize-warning');
+
+    const applyNormalize = () => {
+        const preset = toggle.checked ? presetSelect.value : null;
+        presetSelect.disabled = !toggle.checked;
+        if (preset) {
+            siteNormalize.set(hostname, preset);
+        } else {
+            siteNormalize.delete(hostname);
+        }
+        browser.runtime.sendMessage({ cmd: "setNormalize", hostname, preset });
+
+        getSiteFrames(hostname).forEach(async ({ tab, frameId }) => {
+            try {
+                const result = await browser.tabs.sendMessage(tab.id, { cmd: "normalize", preset }, { frameId });
+                if (result && !result.ok) {
+                    warning.textContent = result.error;
+                    warning.classList.remove('hidden');
+                } else if (!preset) {
+                    warning.classList.add('hidden');
+                }
+            } catch (e) {
+                // The tab may have navigated away; the next state update will catch up.
+            }
+        });
+    };
+
+    toggle.addEventListener('change', applyNormalize);
+    presetSelect.addEventListener('focus', startInteraction);
+    presetSelect.addEventListener('blur', endInteraction);
+    presetSelect.addEventListener('change', () => {
+        applyNormalize();
+        presetSelect.blur();
+    });
+
+    return control;
+}
+
+/**
+ * Creates the collapsible graphic equalizer panel for a site header.
+ * @param {string} hostname - The hostname of the site.
+ * @param {Array} tabs - The array of tab data for this site.
+ * @returns {HTMLElement} The created EQ panel.
+ */
+function createEqualizerPanel(hostname, tabs) {
+    const container = document.createElement('div');
+    container.className = 'equalizer mt-1';
+
+    const current = siteEqualizers.get(hostname) ?? null;
+    const bandCount = current ? current.bands.length : 10;
+    const isOpen = openEqPanels.has(hostname);
+    const equalizerBlocked = tabs.some(({ mediaElements }) => mediaElements.some(media => media.equalizerBlocked));
+
+    const presetOptions = [
+        `<option value="off" ${!current ? 'selected' : ''}>Off</option>`,
+        ...Object.entries(BUILTIN_EQ_PRESETS).map(([key, preset]) =>
+            `<option value="${key}" ${current?.preset === key ? 'selected' : ''}>${preset.label}</option>`),
+        ...[...eqPresets.keys()].map(name =>
+            `<option value="saved:${escapeHtml(name)}" ${current?.preset === `saved:${name}` ? 'selected' : ''}>★ ${escapeHtml(name)}</option>`),
+        `<option value="custom" ${current?.preset === 'custom' ? 'selected' : ''}>Custom</option>`
+    ].join('');
+
+    const bands = current ? current.bands : EQ_BAND_FREQUENCIES[bandCount].map(frequency => ({ frequency, gain: 0 }));
+
+    container.innerHTML = `
+        <div class="flex items-center justify-end text-xs text-slate-400">
+            <button data-action="toggle-eq" class="px-2 py-0.5 rounded ${current ? 'bg-green-700 text-white' : 'bg-slate-700'} hover:bg-slate-600 transition">EQ ${isOpen ? '▴' : '▾'}</button>
+        </div>
+        <div class="eq-panel mt-2 p-2 rounded bg-slate-700 text-xs ${isOpen ? '' : 'hidden'}">
+            <div class="flex items-center space-x-2 mb-2">
+                <select class="eq-preset flex-grow bg-slate-800 text-slate-200 rounded px-1 py-0.5 border border-slate-500">${presetOptions}</select>
+                <select class="eq-band-count bg-slate-800 text-slate-200 rounded px-1 py-0.5 border border-slate-500" title="Number of bands">
+                    <option value="5" ${bandCount === 5 ? 'selected' : ''}>5 bands</option>
+                    <option value="10" ${bandCount === 10 ? 'selected' : ''}>10 bands</option>
+                </select>
+            </div>
+            <div class="eq-bands grid grid-cols-2 gap-x-3 gap-y-1 ${current ? '' : 'opacity-50'}">
+                ${bands.map((band, i) => `
+                    <label class="flex items-center space-x-1">
+                        <span class="w-9 text-right text-slate-400">${formatFrequency(band.frequency)}</span>
+                        <input type="range" class="eq-band w-full" data-index="${i}" min="-${EQ_MAX_GAIN_DB}" max="${EQ_MAX_GAIN_DB}" step="1" value="${band.gain}">
+                    </label>`).join('')}
+            </div>
+            <div class="flex items-center space-x-2 mt-2">
+                <input type="text" class="eq-preset-name flex-grow bg-slate-800 text-slate-200 rounded px-1 py-0.5 border border-slate-500" placeholder="Preset name">
+                <button data-action="save-eq" class="px-2 py-0.5 rounded bg-slate-600 hover:bg-slate-500 transition">Save</button>
+                ${current?.preset?.startsWith('saved:') ? `<button data-action="delete-eq" class="px-2 py-0.5 rounded bg-red-700 hover:bg-red-600 transition">Delete</button>` : ''}
+            </div>
+            <div class="eq-warning text-orange-400 mt-1 ${equalizerBlocked ? '' : 'hidden'}">Some media here comes from another origin and can't be equalized.</div>
+        </div>
+    `;
+
+    const panel = container.querySelector('.eq-panel');
+    const presetSelect = container.querySelector('.eq-preset');
+    const bandCountSelect = container.querySelector('.eq-band-count');
+    const nameInput = container.querySelector('.eq-preset-name');
+    const warning = container.querySelector('.eq-warning');
+
+    const applyEqualizer = (equalizer) => {
+        if (equalizer) {
+            siteEqualizers.set(hostname, equalizer);
+        } else {
+            siteEqualizers.delete(hostname);
+        }
+        browser.runtime.sendMessage({ cmd: "setEqualizer", hostname, equalizer });
+
+        getSiteFrames(hostname).forEach(async ({ tab, frameId }) => {
+            try {
+                const result = await browser.tabs.sendMessage(tab.id, { cmd: "equalizer", bands: equalizer ? equalizer.bands : null }, { frameId });
+                if (result && !result.ok) {
+                    warning.textContent = result.error;
+                    warning.classList.remove('hidden');
+                } else if (!equalizer) {
+                    warning.classList.add('hidden');
+                }
+            } catch (e) {
+                // The tab may have navigated away; the next state update will catch up.
+            }
+        });
+    };
+
+    /** Works out the bands for a preset selection at the chosen band count. */
+    const bandsForPreset = (presetKey, count) => {
+        if (BUILTIN_EQ_PRESETS[presetKey]) {
+            return EQ_BAND_FREQUENCIES[count].map((frequency, i) => ({ frequency, gain: BUILTIN_EQ_PRESETS[presetKey].gains[count][i] }));
+        }
+        if (presetKey.startsWith('saved:')) {
+            return eqPresets.get(presetKey.slice('saved:'.length));
+        }
+        // "custom": keep the current gains if the layout matches, otherwise start flat
+        const existing = siteEqualizers.get(hostname)?.bands;
+        return existing && existing.length === count ? existing : EQ_BAND_FREQUENCIES[count].map(frequency => ({ frequency, gain: 0 }));
+    };
+
+    container.querySelector('[data-action="toggle-eq"]').addEventListener('click', () => {
+        if (openEqPanels.has(hostname)) {
+            openEqPanels.delete(hostname);
+        } else {
+            openEqPanels.add(hostname);
+        }
+        panel.classList.toggle('hidden');
+    });
+
+    [presetSelect, bandCountSelect].forEach(select => {
+        select.addEventListener('focus', startInteraction);
+        select.addEventListener('blur', endInteraction);
+        select.addEventListener('change', () => {
+            const presetKey = presetSelect.value;
+            applyEqualizer(presetKey === 'off' ? null : { preset: presetKey, bands: bandsForPreset(presetKey, parseInt(bandCountSelect.value, 10)) });
+            select.blur();
+        });
+    });
+
+    container.querySelectorAll('.eq-band').forEach(slider => {
+        slider.addEventListener('mousedown', startInteraction);
+        slider.addEventListener('touchstart', startInteraction);
+        slider.addEventListener('input', () => {
+            // Moving a band always turns the EQ on as a custom curve
+            const newBands = bands.map((band, i) => ({
+                frequency: band.frequency,
+                gain: i === parseInt(slider.dataset.index, 10) ? parseInt(slider.value, 10) : band.gain
+            }));
+            bands.splice(0, bands.length, ...newBands);
+            applyEqualizer({ preset: 'custom', bands: newBands });
+        });
+    });
+
+    nameInput.addEventListener('focus', startInteraction);
+    nameInput.addEventListener('blur', endInteraction);
+    container.querySelector('[data-action="save-eq"]').addEventListener('click', () => {
+        const name = nameInput.value.trim();
+        if (!name) {
+            nameInput.focus();
+            return;
+        }
+        eqPresets.set(name, bands);
+        browser.runtime.sendMessage({ cmd: "saveEqPreset", name, bands });
+        applyEqualizer({ preset: `saved:${name}`, bands });
+        nameInput.value = '';
+        nameInput.blur();
+    });
+
+    container.querySelector('[data-action="delete-eq"]')?.addEventListener('click', () => {
+        const name = current.preset.slice('saved:'.length);
+        eqPresets.delete(name);
+        browser.runtime.sendMessage({ cmd: "deleteEqPreset", name });
+        applyEqualizer({ preset: 'custom', bands: current.bands });
+    });
+
+    return container;
+}
+
 
 /**
- * Updates an existing site section with new tab data.
+ * Updates an existing site section with new tab data, rebuilding only the parts whose state changed.
  * @param {HTMLElement} section - The site section element to update.
  * @param {string} hostname - The hostname of the site.
  * @param {Array} tabs - The updated array of tab data for this site.
  */
 function updateSiteSection(section, hostname, tabs) {
-    const newHeader = createSiteHeader(hostname, tabs);
-    section.replaceChild(newHeader, section.querySelector('.flex'));
+    const oldHeader = section.querySelector('.site-header');
+    if (oldHeader.dataset.renderKey !== siteHeaderKey(hostname, tabs) && !isHeldByUser(oldHeader)) {
+        section.replaceChild(createSiteHeader(hostname, tabs), oldHeader);
+    }
 
     const tabContainer = section.querySelector('.tab-container');
     const existingTabIds = new Set([...tabContainer.querySelectorAll('.tab-section')].map(el => el.dataset.tabId));
@@ -275,13 +894,7 @@ function createTabSection(tab, mediaElements) {
     const mediaContainer = document.createElement("div");
     mediaContainer.className = "media-container p-2 space-y-2";
 
-    const sortedMedia = [...mediaElements].sort((a, b) => {
-        if (a.playing !== b.playing) return a.playing ? -1 : 1;
-        if (a.type !== b.type) return a.type === 'audio' ? -1 : 1;
-        return 0;
-    });
-
-    sortedMedia.forEach((mediaInfo) => {
+    sortMedia(mediaElements).forEach((mediaInfo) => {
         const mediaElement = createMediaElement(tab, mediaInfo);
         mediaContainer.appendChild(mediaElement);
     });
@@ -292,30 +905,170 @@ function createTabSection(tab, mediaElements) {
 }
 
 /**
- * Updates an existing tab section with new data.
+ * Updates an existing tab section with new data. Cards whose state didn't change (apart from
+ * playback progress) are patched in place instead of being rebuilt.
  * @param {HTMLElement} section - The tab section element to update.
  * @param {Object} tab - The updated browser tab object.
  * @param {Array} mediaElements - The updated array of media info objects.
  */
 function updateTabSection(section, tab, mediaElements) {
-    const newHeader = createTabHeader(tab, mediaElements);
-    section.replaceChild(newHeader, section.querySelector('.tab-header'));
+    const oldHeader = section.querySelector('.tab-header');
+    if (oldHeader.dataset.renderKey !== tabHeaderKey(tab, mediaElements)) {
+        section.replaceChild(createTabHeader(tab, mediaElements), oldHeader);
+    }
     
     const mediaContainer = section.querySelector('.media-container');
-    mediaContainer.innerHTML = ''; 
-    
-    const sortedMedia = [...mediaElements].sort((a, b) => {
+    const existingCards = new Map([...mediaContainer.querySelectorAll('.media-card')].map(card => [card.dataset.mediaKey, card]));
+    const currentIds = new Set(mediaElements.map(mediaKey));
+
+    for (const [mediaId, card] of existingCards) {
+        if (!currentIds.has(mediaId) && !isHeldByUser(card)) {
+            card.remove();
+            existingCards.delete(mediaId);
+        }
+    }
+
+    const orderedCards = sortMedia(mediaElements).map((mediaInfo) => {
+        const card = existingCards.get(mediaKey(mediaInfo));
+        if (!card) {
+            return createMediaElement(tab, mediaInfo);
+        }
+        if (card.dataset.renderKey === mediaCardKey(mediaInfo) || isHeldByUser(card)) {
+            patchMediaCard(card, mediaInfo);
+            return card;
+        }
+        const newCard = createMediaElement(tab, mediaInfo);
+        card.replaceWith(newCard);
+        return newCard;
+    });
+
+    // Only move cards around when the order actually changed, so a slider mid-drag isn't disturbed
+    const currentOrder = [...mediaContainer.children];
+    const orderChanged = orderedCards.length !== currentOrder.length || orderedCards.some((card, i) => currentOrder[i] !== card);
+    if (orderChanged && !isHeldByUser(mediaContainer)) {
+        orderedCards.forEach(card => mediaContainer.appendChild(card));
+    } else {
+        orderedCards.filter(card => !card.parentNode).forEach(card => mediaContainer.appendChild(card));
+    }
+}
+
+/**
+ * Identifies a media item within its tab. IDs are only unique per frame, so the frame is part of the key.
+ * @param {Object} mediaInfo - The media info object.
+ * @returns {string}
+ */
+function mediaKey(mediaInfo) {
+    return `${mediaInfo.frameId}:${mediaInfo.id}`;
+}
+
+/**
+ * Sorts media so playing items come first, then audio before video.
+ * @param {Array} mediaElements - Array of media info objects.
+ * @returns {Array} A sorted copy.
+ */
+function sortMedia(mediaElements) {
+    return [...mediaElements].sort((a, b) => {
         if (a.playing !== b.playing) return a.playing ? -1 : 1;
         if (a.type !== b.type) return a.type === 'audio' ? -1 : 1;
         return 0;
     });
+}
 
-    sortedMedia.forEach((mediaInfo) => {
-        const mediaElement = createMediaElement(tab, mediaInfo);
-        mediaContainer.appendChild(mediaElement);
+/** The state a site header is built from; it is rebuilt only when this changes. */
+function siteHeaderKey(hostname, tabs) {
+    const anyMedia = (flag) => tabs.some(({ mediaElements }) => mediaElements.some(media => media[flag]));
+    return JSON.stringify({
+        hostname,
+        tabIds: tabs.map(({ tab }) => tab.id),
+        volume: siteVolumes.get(hostname) ?? null,
+        boost: siteBoosts.get(hostname) ?? 1,
+        normalize: siteNormalize.get(hostname) ?? null,
+        equalizer: siteEqualizers.get(hostname) ?? null,
+        boostBlocked: anyMedia('boostBlocked'),
+        normalizeBlocked: anyMedia('normalizeBlocked'),
+        equalizerBlocked: anyMedia('equalizerBlocked')
+    });
+}
+
+/** The state a tab header is built from; it is rebuilt only when this changes. */
+function tabHeaderKey(tab, mediaElements) {
+    return JSON.stringify({
+        title: tab.title,
+        url: tab.url,
+        favIconUrl: tab.favIconUrl,
+        muted: tab.mutedInfo.muted,
+        playing: mediaElements.some(media => media.playing)
     });
 }
 
+/** Everything on a media card except playback progress, which is patched in place. */
+function mediaCardKey(mediaInfo) {
+    const { currentTime, poster, bgcolor, fgcolor, seekable, buffered, ...rest } = mediaInfo;
+    return JSON.stringify(rest);
+}
+
+/**
+ * Updates the progress display of a card without rebuilding it.
+ * @param {HTMLElement} card - The media card element.
+ * @param {Object} mediaInfo - The latest media info.
+ */
+function patchMediaCard(card, mediaInfo) {
+    const timeSlider = card.querySelector('.time-slider');
+    if (timeSlider !== activeControl) {
+        card.querySelector('.current-time').textContent = formatTime(mediaInfo.currentTime);
+        const liveWindow = getLiveWindow(mediaInfo);
+        if (liveWindow) {
+            // The window moves forward as the stream goes on
+            timeSlider.min = liveWindow.start;
+            timeSlider.max = liveWindow.end;
+        }
+        timeSlider.value = mediaInfo.currentTime;
+    }
+    patchLiveStatus(card, mediaInfo);
+}
+
+/**
+ * Returns the seekable window of a live stream.
+ * @param {Object} mediaInfo - The media info.
+ * @returns {?{start: number, end: number}} null for media with a known duration, or a stream that can't be seeked.
+ */
+function getLiveWindow(mediaInfo) {
+    const seekable = mediaInfo.seekable ?? [];
+    if (isFinite(mediaInfo.duration) || seekable.length === 0) {
+        return null;
+    }
+    return { start: seekable[0][0], end: seekable[seekable.length - 1][1] };
+}
+
+/**
+ * Updates how far behind live a stream is, and whether the "Go Live" button shows it as live.
+ * @param {HTMLElement} card - The media card element.
+ * @param {Object} mediaInfo - The latest media info.
+ */
+function patchLiveStatus(card, mediaInfo) {
+    const latencyEl = card.querySelector('.live-latency');
+    const liveWindow = getLiveWindow(mediaInfo);
+    if (!latencyEl || !liveWindow) {
+        return;
+    }
+    const latency = Math.max(liveWindow.end - mediaInfo.currentTime, 0);
+    const atLiveEdge = latency < LIVE_EDGE_SECONDS;
+    latencyEl.textContent = atLiveEdge ? '' : `(${formatTime(latency)} behind live)`;
+    const goLiveButton = card.querySelector('[data-action="go-live"]');
+    goLiveButton.classList.toggle('bg-red-600', atLiveEdge);
+    goLiveButton.classList.toggle('bg-slate-700', !atLiveEdge);
+    goLiveButton.title = atLiveEdge ? 'Playing live' : 'Jump to live';
+}
+
+/**
+ * Checks whether the user is currently dragging or editing a control inside an element.
+ * @param {HTMLElement} element - The element to check.
+ * @returns {boolean}
+ */
+function isHeldByUser(element) {
+    return isUserInteracting && activeControl !== null && element.contains(activeControl);
+}
+
 /**
  * Creates the header for a tab section.
  * @returns {HTMLElement} The created header element.
@@ -327,6 +1080,7 @@ function createTabHeader(tab, mediaElements) {
     const headerBg = playingCount > 0 ? 'bg-green-600' : 'bg-slate-600';
 
     header.className = `tab-header flex items-center p-2 ${headerBg} text-white cursor-pointer hover:bg-opacity-90 transition`;
+    header.dataset.renderKey = tabHeaderKey(tab, mediaElements);
     header.onclick = () => browser.tabs.update(tab.id, { active: true });
 
     header.innerHTML = `
@@ -366,76 +1120,288 @@ function createTabHeader(tab, mediaElements) {
 function createMediaElement(tab, mediaInfo) {
     const card = document.createElement("div");
     card.className = `media-card p-2 rounded-md ${mediaInfo.playing ? 'bg-green-900/50' : 'bg-slate-600'}`;
+    card.dataset.mediaKey = mediaKey(mediaInfo);
+    card.dataset.renderKey = mediaCardKey(mediaInfo);
+
+    // Fall back from the page's own description of the media to the tab title, then to its type
+    const metadata = mediaInfo.metadata || {};
+    const typeLabel = mediaInfo.type.charAt(0).toUpperCase() + mediaInfo.type.slice(1);
+    const typeIcon = mediaInfo.type === 'audio' ? '🎵' : '📹';
+    const title = metadata.title || tab.title || typeLabel;
+    const subtitle = [metadata.artist, metadata.album].filter(Boolean).join(' — ');
+    // Track skipping is done by the page's own Media Session handlers, so only offer what it registered
+    const sessionActions = mediaInfo.sessionActions || [];
+    const canLoopSection = isFinite(mediaInfo.duration) && mediaInfo.duration > 0;
+    const isLive = !isFinite(mediaInfo.duration);
+    const liveWindow = getLiveWindow(mediaInfo);
+    // Live streams without a DVR window have nothing to seek through
+    const canSeek = !isLive || (liveWindow !== null && liveWindow.end - liveWindow.start > LIVE_EDGE_SECONDS);
     
     card.innerHTML = `
         <div class="flex items-center mb-2">
-            <div class="media-type-icon text-2xl mr-3">${mediaInfo.type === 'audio' ? '🎵' : '📹'}</div>
+            <div class="media-type-icon text-2xl mr-3 flex-shrink-0">
+                ${metadata.artwork ?
+                    `<img src="${escapeHtml(metadata.artwork)}" class="media-artwork w-10 h-10 rounded object-cover" alt="">` :
+                    typeIcon
+                }
+            </div>
             <div class="flex-grow min-w-0">
-                <div class="media-status text-sm font-semibold ${mediaInfo.playing ? 'text-green-400' : 'text-slate-200'}">
-                    ${mediaInfo.type.charAt(0).toUpperCase() + mediaInfo.type.slice(1)} ${mediaInfo.playing ? '(Playing)' : ''}
+                <div class="media-title text-sm font-semibold truncate ${mediaInfo.playing ? 'text-green-400' : 'text-slate-200'}" title="${escapeHtml(title)}">${escapeHtml(title)}</div>
+                ${subtitle ? `<div class="media-subtitle text-xs text-slate-300 truncate" title="${escapeHtml(subtitle)}">${escapeHtml(subtitle)}</div>` : ''}
+                <div class="media-status text-xs text-slate-400">
+                    ${typeLabel} ${mediaInfo.playing ? '(Playing)' : ''} ${mediaInfo.ducked ? '(Ducked)' : ''}
                 </div>
                 <div class="time-info text-xs text-slate-400">
                     <span class="current-time">${formatTime(mediaInfo.currentTime)}</span> / <span class="duration">${formatTime(mediaInfo.duration)}</span>
+                    ${isLive ? '<span class="live-latency"></span>' : ''}
                 </div>
+                ${mediaInfo.frameId !== 0 ? `<div class="frame-info text-xs text-slate-400 truncate" title="Embedded frame: ${escapeHtml(mediaInfo.origin)}">in frame: ${escapeHtml(mediaInfo.origin)}</div>` : ''}
             </div>
             <button data-action="focus" title="Scroll to media" class="focus-btn p-1.5 rounded-full hover:bg-slate-500 transition flex-shrink-0">
                 <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/><circle cx="12" cy="12" r="3"/></svg>
             </button>
         </div>
         
-        <div class="time-slider-container mb-2">
-            <input type="range" class="time-slider w-full" min="0" max="${mediaInfo.duration}" value="${mediaInfo.currentTime}" ${mediaInfo.duration === Infinity ? 'disabled' : ''}>
+        <div class="time-slider-container flex items-center space-x-1 mb-2">
+            <div class="relative flex-grow flex items-center">
+                <input type="range" class="time-slider w-full" min="${liveWindow ? liveWindow.start : 0}" max="${liveWindow ? liveWindow.end : mediaInfo.duration}" value="${mediaInfo.currentTime}" ${canSeek ? '' : 'disabled'}>
+                ${buildLoopMarkers(mediaInfo)}
+            </div>
+            ${isLive ? `
+            <button data-action="go-live" title="Jump to live" class="flex items-center gap-1 px-2 h-6 rounded text-xs font-bold text-white bg-slate-700 hover:bg-red-500 transition">
+                <span class="w-1.5 h-1.5 rounded-full bg-white"></span>LIVE
+            </button>` : ''}
+            ${canLoopSection ? `
+            <button data-action="loop-a" title="${mediaInfo.loopStart !== null ? `Loop start (A) at ${formatTime(mediaInfo.loopStart)}. Click to move it here` : 'Set loop start (A) here'}" class="loop-point-btn w-6 h-6 rounded text-xs font-bold ${mediaInfo.loopStart !== null ? 'bg-sky-600 text-white' : 'bg-slate-700 text-slate-300'} hover:bg-sky-500 transition">A</button>
+            <button data-action="loop-b" title="${mediaInfo.loopEnd !== null ? `Loop end (B) at ${formatTime(mediaInfo.loopEnd)}. Click to move it here` : 'Set loop end (B) here'}" class="loop-point-btn w-6 h-6 rounded text-xs font-bold ${mediaInfo.loopEnd !== null ? 'bg-sky-600 text-white' : 'bg-slate-700 text-slate-300'} hover:bg-sky-500 transition">B</button>
+            ${mediaInfo.loopStart !== null || mediaInfo.loopEnd !== null ? `
+            <button data-action="loop-clear" title="Clear the A–B loop" class="w-6 h-6 rounded text-xs text-slate-300 hover:bg-slate-500 transition">✕</button>` : ''}` : ''}
         </div>
         
         <div class="flex items-center justify-between">
             <div class="flex items-center space-x-2">
+                ${sessionActions.includes('previoustrack') ? `
+                <button data-action="previoustrack" title="Previous track" class="session-btn p-2 rounded-full hover:bg-slate-500 transition">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="currentColor"><path d="M6 6h2v12H6zm3.5 6l8.5 6V6z"/></svg>
+                </button>` : ''}
+                ${sessionActions.includes('seekbackward') ? `
+                <button data-action="seekbackward" title="Back ${SESSION_SEEK_SECONDS} seconds" class="session-btn p-2 rounded-full hover:bg-slate-500 transition">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="currentColor"><path d="M11 18V6l-8.5 6 8.5 6zm.5-6l8.5 6V6l-8.5 6z"/></svg>
+                </button>` : ''}
                 <button data-action="play-pause" title="${mediaInfo.playing ? 'Pause' : 'Play'}" class="play-pause-btn w-10 h-10 flex items-center justify-center rounded-full text-white font-bold ${mediaInfo.playing ? 'bg-orange-500 hover:bg-orange-600' : 'bg-green-500 hover:bg-green-600'} transition">
                     ${mediaInfo.playing ? 
                         `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="currentColor"><path d="M6 19h4V5H6v14zm8-14v14h4V5h-4z"/></svg>` : 
                         `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="currentColor"><path d="M8 5v14l11-7z"/></svg>`
                     }
                 </button>
+                ${sessionActions.includes('seekforward') ? `
+                <button data-action="seekforward" title="Forward ${SESSION_SEEK_SECONDS} seconds" class="session-btn p-2 rounded-full hover:bg-slate-500 transition">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="currentColor"><path d="M4 18l8.5-6L4 6v12zm9-12v12l8.5-6L13 6z"/></svg>
+                </button>` : ''}
+                ${sessionActions.includes('nexttrack') ? `
+                <button data-action="nexttrack" title="Next track" class="session-btn p-2 rounded-full hover:bg-slate-500 transition">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="currentColor"><path d="M6 18l8.5-6L6 6v12zM16 6v12h2V6h-2z"/></svg>
+                </button>` : ''}
                 <button data-action="mute" title="${mediaInfo.muted ? 'Unmute' : 'Mute'}" class="mute-btn p-2 rounded-full hover:bg-slate-500 transition">
                      ${mediaInfo.muted ? 
                         `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="currentColor"><path d="M3 9v6h4l5 5V4L7 9H3zm13.5 3c0-1.77-1.02-3.29-2.5-4.03v8.05c1.48-.73 2.5-2.25 2.5-4.02zM14 3.23v2.06c2.89.86 5 3.54 5 6.71s-2.11 5.85-5 6.71v2.06c4.01-.91 7-4.49 7-8.77s-2.99-7.86-7-8.77z"/></svg>` : 
                         `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="currentColor"><path d="M16.5 12c0-1.77-1.02-3.29-2.5-4.03v2.21l2.45 2.45c.03-.2.05-.41.05-.63zm2.5 0c0 .94-.2 1.82-.54 2.64l1.51 1.51C20.63 14.91 21 13.5 21 12c0-4.28-2.99-7.86-7-8.77v2.06c2.89.86 5 3.54 5 6.71zM4.27 3L3 4.27 7.73 9H3v6h4l5 5v-6.73l4.25 4.25c-.67.52-1.42.93-2.25 1.18v2.06c1.38-.31 2.63-.95 3.69-1.81L19.73 21 21 19.73l-9-9L4.27 3zM12 4L9.91 6.09 12 8.18V4z"/></svg>`
                     }
                 </button>
+                <button data-action="loop" title="${mediaInfo.loop ? 'Stop repeating' : 'Repeat'}" class="loop-btn p-2 rounded-full ${mediaInfo.loop ? 'bg-slate-500' : ''} hover:bg-slate-500 transition">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="currentColor"><path d="M7 7h10v3l4-4-4-4v3H5v6h2V7zm10 10H7v-3l-4 4 4 4v-3h12v-6h-2v4z"/></svg>
+                </button>
+                ${mediaInfo.type === 'video' ? `
+                <button data-action="pip" title="${escapeHtml(mediaInfo.pipAvailable ? (mediaInfo.pip ? 'Exit Picture-in-Picture' : 'Picture-in-Picture') : mediaInfo.pipUnavailableReason || 'Picture-in-Picture is not available.')}" aria-disabled="${!mediaInfo.pipAvailable}" class="pip-btn p-2 rounded-full ${mediaInfo.pip ? 'bg-slate-500' : ''} ${mediaInfo.pipAvailable ? 'hover:bg-slate-500' : 'opacity-50 cursor-not-allowed'} transition">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="currentColor"><path d="M19 11h-8v6h8v-6zm4 8V4.98C23 3.88 22.1 3 21 3H3c-1.1 0-2 .88-2 1.98V19c0 1.1.9 2 2 2h18c1.1 0 2-.9 2-2zm-2 .02H3V4.97h18v14.05z"/></svg>
+                </button>` : ''}
+                ${mediaInfo.type === 'video' ? `
+                <button data-action="snapshot" title="Save the current frame as a PNG" class="snapshot-btn p-2 rounded-full hover:bg-slate-500 transition">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="currentColor"><path d="M12 15.2a3.2 3.2 0 1 0 0-6.4 3.2 3.2 0 0 0 0 6.4zM9 2 7.17 4H4c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2h-3.17L15 2H9zm3 15c-2.76 0-5-2.24-5-5s2.24-5 5-5 5 2.24 5 5-2.24 5-5 5z"/></svg>
+                </button>` : ''}
+            </div>
+            <div class="flex items-center space-x-2">
+                <button data-action="queue" title="Add to queue (plays when the queued media before it ends)" class="queue-btn p-2 rounded-full hover:bg-slate-500 transition">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="currentColor"><path d="M3 10h11v2H3zm0-4h11v2H3zm0 8h7v2H3zm13-1v8l6-4z"/></svg>
+                </button>
+                <select data-action="speed" title="Playback speed" class="speed-select bg-slate-700 text-slate-200 text-xs rounded px-1 py-1 border border-slate-500">
+                    ${buildRateOptions(mediaInfo.playbackRate)}
+                </select>
             </div>
         </div>
+
+        <div class="media-error hidden mt-2 text-xs text-red-400"></div>
     `;
 
+    // Artwork is hosted by the page and may fail to load (hotlink protection, expired URLs)
+    card.querySelector('.media-artwork')?.addEventListener('error', (e) => {
+        e.target.replaceWith(typeIcon);
+    });
+
+    const errorKey = `${tab.id}:${mediaKey(mediaInfo)}`;
+    const recentError = mediaErrors.get(errorKey);
+    if (recentError && Date.now() - recentError.time < MEDIA_ERROR_DISPLAY_MS) {
+        showMediaError(card, errorKey, recentError.message);
+    } else {
+        mediaErrors.delete(errorKey);
+    }
+
     const timeSlider = card.querySelector('.time-slider');
     timeSlider.addEventListener('mousedown', startInteraction);
     timeSlider.addEventListener('touchstart', startInteraction);
     timeSlider.addEventListener('input', () => {
-        browser.tabs.sendMessage(tab.id, { cmd: "currentTime", id: mediaInfo.id, currentTime: parseFloat(timeSlider.value) });
+        sendMediaCommand(tab, card, errorKey, { cmd: "currentTime", id: mediaInfo.id, currentTime: parseFloat(timeSlider.value) }, mediaInfo.frameId);
         card.querySelector('.current-time').textContent = formatTime(timeSlider.value);
     });
     
+    card.querySelector('[data-action="go-live"]')?.addEventListener('click', () => {
+        sendMediaCommand(tab, card, errorKey, { cmd: "goLive", id: mediaInfo.id }, mediaInfo.frameId);
+    });
+    patchLiveStatus(card, mediaInfo);
+
     card.querySelector('[data-action="play-pause"]').addEventListener('click', () => {
         const cmd = mediaInfo.playing ? "pause" : "play";
-        browser.tabs.sendMessage(tab.id, { cmd, ids: [mediaInfo.id] });
+        sendMediaCommand(tab, card, errorKey, { cmd, ids: [mediaInfo.id] }, mediaInfo.frameId);
+    });
+
+    card.querySelectorAll('.session-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            const action = button.dataset.action;
+            const message = { cmd: "mediaSessionAction", action };
+            if (action === 'seekbackward' || action === 'seekforward') {
+                message.seekOffset = SESSION_SEEK_SECONDS;
+            }
+            sendMediaCommand(tab, card, errorKey, message, mediaInfo.frameId);
+        });
     });
 
     card.querySelector('[data-action="mute"]').addEventListener('click', () => {
         const cmd = mediaInfo.muted ? "unmute" : "mute";
-        browser.tabs.sendMessage(tab.id, { cmd, ids: [mediaInfo.id] });
+        sendMediaCommand(tab, card, errorKey, { cmd, ids: [mediaInfo.id] }, mediaInfo.frameId);
     });
     
     card.querySelector('[data-action="focus"]').addEventListener('click', async () => {
         await browser.tabs.update(tab.id, { active: true });
         await browser.windows.update(tab.windowId, { focused: true });
-        await browser.tabs.sendMessage(tab.id, { cmd: "focus", id: mediaInfo.id });
+        await sendMediaCommand(tab, card, errorKey, { cmd: "focus", id: mediaInfo.id }, mediaInfo.frameId);
+    });
+
+    const speedSelect = card.querySelector('[data-action="speed"]');
+    speedSelect.addEventListener('focus', startInteraction);
+    speedSelect.addEventListener('blur', endInteraction);
+    speedSelect.addEventListener('change', () => {
+        const rate = parseFloat(speedSelect.value);
+        const hostname = new URL(tab.url).hostname;
+        siteRates.set(hostname, rate);
+        // Remember the rate as this site's default so new media picks it up too
+        browser.runtime.sendMessage({ cmd: "setRate", hostname, rate });
+        sendMediaCommand(tab, card, errorKey, { cmd: "playbackRate", id: mediaInfo.id, rate }, mediaInfo.frameId);
+        speedSelect.blur();
+    });
+
+    card.querySelector('[data-action="loop"]').addEventListener('click', () => {
+        sendMediaCommand(tab, card, errorKey, { cmd: "loop", id: mediaInfo.id, loop: !mediaInfo.loop }, mediaInfo.frameId);
+    });
+
+    // A and B are set at the playback position the slider shows
+    card.querySelector('[data-action="loop-a"]')?.addEventListener('click', () => {
+        const start = parseFloat(timeSlider.value);
+        const end = mediaInfo.loopEnd !== null && mediaInfo.loopEnd > start ? mediaInfo.loopEnd : null;
+        sendMediaCommand(tab, card, errorKey, { cmd: "abLoop", id: mediaInfo.id, start, end }, mediaInfo.frameId);
+    });
+    card.querySelector('[data-action="loop-b"]')?.addEventListener('click', () => {
+        const end = parseFloat(timeSlider.value);
+        sendMediaCommand(tab, card, errorKey, { cmd: "abLoop", id: mediaInfo.id, start: mediaInfo.loopStart, end }, mediaInfo.frameId);
+    });
+    card.querySelector('[data-action="loop-clear"]')?.addEventListener('click', () => {
+        sendMediaCommand(tab, card, errorKey, { cmd: "abLoop", id: mediaInfo.id, start: null, end: null }, mediaInfo.frameId);
+    });
+
+    card.querySelector('[data-action="queue"]').addEventListener('click', async () => {
+        const result = await browser.runtime.sendMessage({
+            cmd: "addToQueue",
+            tabId: tab.id,
+            frameId: mediaInfo.frameId,
+            mediaId: mediaInfo.id,
+            index: mediaInfo.index,
+            title: mediaInfo.metadata?.title || tab.title
+        });
+        if (!result?.ok) {
+            showMediaError(card, errorKey, result?.error || "Could not add this media to the queue.");
+        }
+    });
+
+    card.querySelector('[data-action="pip"]')?.addEventListener('click', async () => {
+        // Unavailable: say why instead of asking the page to try
+        if (!mediaInfo.pipAvailable) {
+            showMediaError(card, errorKey, mediaInfo.pipUnavailableReason || "Picture-in-Picture is not available.");
+            return;
+        }
+        try {
+            const result = await browser.tabs.sendMessage(tab.id, { cmd: "pip", id: mediaInfo.id }, { frameId: mediaInfo.frameId });
+            if (!result?.ok) {
+                showMediaError(card, errorKey, result?.error || "Picture-in-Picture is not available.");
+            }
+        } catch (e) {
+            showMediaError(card, errorKey, "Could not reach the page to toggle Picture-in-Picture.");
+        }
+    });
+
+    card.querySelector('[data-action="snapshot"]')?.addEventListener('click', async () => {
+        try {
+            const result = await browser.runtime.sendMessage({ cmd: "takeSnapshot", tabId: tab.id, frameId: mediaInfo.frameId, id: mediaInfo.id });
+            if (!result?.ok) {
+                showMediaError(card, errorKey, result?.error || "Could not save a snapshot.");
+            }
+        } catch (e) {
+            showMediaError(card, errorKey, "Could not save a snapshot.");
+        }
     });
 
     return card;
 }
 
+/**
+ * Sends a command for one media element and shows the reason on its card if it fails
+ * (for example when the element has been removed from the page).
+ * @param {Object} tab - The browser tab object.
+ * @param {HTMLElement} card - The media card element.
+ * @param {string} errorKey - The "tabId:frameId:mediaId" key for the media.
+ * @param {Object} message - The content script command.
+ * @param {number} frameId - The frame the media lives in.
+ */
+async function sendMediaCommand(tab, card, errorKey, message, frameId) {
+    try {
+        const result = await browser.tabs.sendMessage(tab.id, message, { frameId });
+        if (result && result.ok === false) {
+            showMediaError(card, errorKey, result.error);
+        }
+    } catch (e) {
+        showMediaError(card, errorKey, "Could not reach the page.");
+    }
+}
+
+/**
+ * Shows an error message on a media card and remembers it across re-renders.
+ * @param {HTMLElement} card - The media card element.
+ * @param {string} errorKey - The "tabId:frameId:mediaId" key for the media.
+ * @param {string} message - The message to show.
+ */
+function showMediaError(card, errorKey, message) {
+    const existing = mediaErrors.get(errorKey);
+    if (!existing || existing.message !== message) {
+        mediaErrors.set(errorKey, { message, time: Date.now() });
+    }
+    const errorEl = card.querySelector('.media-error');
+    errorEl.textContent = message;
+    errorEl.classList.remove('hidden');
+}
+
 // --- HELPERS & EVENT HANDLERS ---
 
-function startInteraction() {
+function startInteraction(event) {
     isUserInteracting = true;
+    activeControl = event?.currentTarget ?? null;
     clearTimeout(interactionTimeout);
 }
 
@@ -443,10 +1409,51 @@ function endInteraction() {
     clearTimeout(interactionTimeout);
     interactionTimeout = setTimeout(() => {
         isUserInteracting = false;
-        refreshMediaList(); 
+        activeControl = null;
+        scheduleRender(); // Apply any changes held back while the control was in use
     }, INTERACTION_PAUSE_MS);
 }
 
+/**
+ * Builds the A–B loop overlay for the time slider: the looped region, or a marker while only
+ * one of the points is set. It ignores the pointer so the slider stays usable underneath.
+ * @param {Object} mediaInfo - The media info.
+ * @returns {string} The overlay HTML.
+ */
+function buildLoopMarkers(mediaInfo) {
+    const { loopStart, loopEnd, duration } = mediaInfo;
+    if ((loopStart === null && loopEnd === null) || !isFinite(duration) || duration <= 0) {
+        return '';
+    }
+    const percent = (seconds) => Math.min(Math.max(seconds / duration * 100, 0), 100);
+    const overlay = 'absolute top-1/2 -translate-y-1/2 pointer-events-none rounded';
+    if (loopStart !== null && loopEnd === null) {
+        return `<div class="loop-marker ${overlay} w-0.5 h-3 bg-sky-400" style="left: ${percent(loopStart)}%"></div>`;
+    }
+    const left = percent(loopStart ?? 0);
+    return `<div class="loop-region ${overlay} h-1.5 bg-sky-400/60" style="left: ${left}%; width: ${percent(loopEnd) - left}%"></div>`;
+}
+
+/**
+ * Builds the <option> list for the speed selector, including the current rate if it isn't a preset.
+ * @param {number} currentRate - The media's current playback rate.
+ * @returns {string} The options HTML.
+ */
+function buildRateOptions(currentRate) {
+    const rates = PLAYBACK_RATES.includes(currentRate) ? PLAYBACK_RATES : [...PLAYBACK_RATES, currentRate].sort((a, b) => a - b);
+    return rates.map(rate => `<option value="${rate}" ${rate === currentRate ? 'selected' : ''}>${rate}x</option>`).join('');
+}
+
+function formatFrequency(hz) {
+    return hz >= 1000 ? `${hz / 1000}k` : `${hz}`;
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
 function formatTime(seconds) {
     if (isNaN(seconds) || seconds === Infinity) return "Live";
     const totalSeconds = Math.floor(seconds);
@@ -455,17 +1462,33 @@ function formatTime(seconds) {
     return `${mins}:${secs.toString().padStart(2, '0')}`;
 }
 
-function initialize() {
-    refreshMediaList(); // Initial refresh
-    refreshInterval = setInterval(refreshMediaList, REFRESH_RATE_MS);
+async function initialize() {
+    renderSettingsBar();
+    browser.runtime.sendMessage({ cmd: "getSleepTimer" }).then(timer => {
+        sleepTimer = timer;
+        renderSleepTimer();
+    }).catch(() => sleepTimerBar.remove());
+
+    try {
+        await syncVolumesFromBackground();
+        const [activeTab] = await browser.tabs.query({ active: true, currentWindow: true });
+        activeTabId = activeTab?.id ?? null;
+        subscribeToMediaState();
+    } catch (e) {
+        console.error("Could not connect to the background script:", e);
+        renderErrorState();
+    }
 
     window.addEventListener('beforeunload', () => {
-        clearInterval(refreshInterval);
+        statePort?.disconnect();
         clearTimeout(interactionTimeout);
+        clearInterval(sleepCountdownInterval);
     });
 
     document.addEventListener('mouseup', () => {
-        if (isUserInteracting) endInteraction();
+        // Open <select>s and text fields end the interaction themselves on change/blur
+        const active = document.activeElement;
+        if (isUserInteracting && active?.tagName !== 'SELECT' && active?.type !== 'text') endInteraction();
     });
     document.addEventListener('touchend', () => {
         if (isUserInteracting) endInteraction();